@@ -5,9 +5,26 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
 import { partsManifest } from './partsManifest.js';
+import { evaluateConstraints, getConstraintNoteIds } from './constraints.js';
+import { decodeShareState, encodeShareState } from './shareState.js';
+import { validateLoadedState } from './stateValidation.js';
+import {
+    BUILDS_STORAGE_KEY, backupBuilds, createBuild, deleteBuild, duplicateBuild, findBuildByName, mergeBuilds,
+    parseBuilds, readBuilds, serializeBuilds, sortBuilds, updateBuild, writeBuilds
+} from './savedBuilds.js';
+import { getDefaultConfig, getDefaultOpacity, getDefaultOptionId, getExplodeOffset, getMatchingParts, getModelPath, getPrintableParts, getReferencePoints } from './configResolver.js';
+import { diffConfigs } from './configDiff.js';
+import { canRedo, canUndo, createHistory, endCoalescing, recordHistory, redoHistory, undoHistory } from './undoHistory.js';
+import { export3mf, exportGlb, exportStl } from './sceneExport.js';
+import { captureImage, captureTurntable } from './viewerCapture.js';
+import { buildSectionCaps, disposeSectionCaps, setSectionPlane, updateSectionCaps } from './sectionView.js';
+import { findLowestCenter, formatMm, getToolheadDimensions, measureDistance, snapPoint } from './measurements.js';
+import { generateKlipperConfig } from './firmwareConfig.js';
+import { formatHardwareCsv, formatHardwareLength, getHardwareBom } from './hardwareBom.js';
 
 // Set up DRACO loader for compressed GLTF files
 const dracoLoader = new DRACOLoader();
@@ -17,18 +34,9 @@ dracoLoader.setDecoderPath('https://cdn.jsdelivr.net/npm/three@0.160.0/examples/
 // Application State
 // ============================================
 
-// Default configuration
+// Default configuration (from the `default: true` flags in partsManifest.configOptions)
 const defaultConfig = {
-    config: {
-        carriage: 'xol-carriage',
-        hotend: 'dragon',
-        extruder: 'wwbmg',
-        wwbmgSensors: 'no-sensors',
-        wwbmgIdler: 'smooth-bearing',
-        toolheadBoard: 'none',
-        filamentCutter: 'none',
-        hexCowl: false
-    },
+    config: getDefaultConfig(),
     mainColor: 0x444444,      // Dark grey (cowlings, wwbmg main body)
     accentColor: 0xA62C2B     // Dark red (extruder adapters, wwbmg tension arm & motor plate)
 };
@@ -36,9 +44,42 @@ const defaultConfig = {
 const state = {
     config: { ...defaultConfig.config },
     loadedModels: new Map(),  // Cache of loaded GLTF models
+    loadingCount: 0,          // Model loads in progress (the loading overlay shows while > 0)
     activeModels: new Map(),  // Currently displayed models
     wireframe: false,
+    explode: {
+        amount: 0,          // Current explode amount (0 = assembled, 1 = fully exploded)
+        target: 0           // Amount the view is animating towards
+    },
+    partDisplay: new Map(), // Outliner overrides by part id: { hidden, opacity }
+    isolatedPartId: null,   // Only this part is shown (outliner "isolate")
+    selectedPartId: null,   // Part selected in the outliner or the 3D view
+    hoveredPartId: null,    // Part under the pointer (3D view or parts list)
+    section: {
+        enabled: false,
+        axis: 'x',          // Axis the clipping plane is perpendicular to
+        position: 0,        // Where the plane crosses the axis (mm)
+        flipped: false,     // Clip the negative side of the axis instead
+        onlySelected: false,    // Clip only the categories below
+        categories: new Set(['hotendDucts'])
+    },
+    measure: {
+        enabled: false,
+        pending: null,      // First point of the measurement being taken
+        items: [],          // Finished measurements: { id, from, to } (viewer coordinates, mm)
+        nextId: 1
+    },
+    dimensions: null,       // Nozzle offset and bounding box of the loaded configuration (see updateDimensions)
+    sharedDimensions: null, // Dimensions listed by the share link the page was opened with, and its config
     initialLoad: true,  // Track if this is the first load
+    compare: {
+        enabled: false,
+        label: '',          // Name of the reference configuration shown on the left
+        config: null,       // Reference configuration
+        snapshot: null,     // Configuration when compare mode was started (or last snapshot)
+        activeModels: new Map(),  // Models of the reference configuration
+        loading: Promise.resolve()  // Reference model loads, chained so they run one at a time
+    },
     mainColor: defaultConfig.mainColor,
     accentColor: defaultConfig.accentColor
 };
@@ -59,49 +100,62 @@ function getShareableState() {
 }
 
 /**
- * Validate configuration object to prevent corruption
+ * Validate loaded state and merge it into the current state
+ * Unknown values keep the current selection, colors are clamped and incompatible
+ * combinations repaired (see stateValidation.js)
+ * @returns {string[]} Descriptions of everything that was changed
  */
-function validateConfig(config) {
-    const validKeys = ['carriage', 'hotend', 'extruder', 'wwbmgSensors', 
-                       'wwbmgIdler', 'toolheadBoard', 'filamentCutter', 'hexCowl'];
+function applyLoadedState(loaded) {
+    const validated = validateLoadedState(loaded, getShareableState());
     
-    const validated = {};
-    for (const key of validKeys) {
-        if (config.hasOwnProperty(key)) {
-            validated[key] = config[key];
-        }
-    }
+    state.config = validated.config;
+    state.mainColor = validated.mainColor;
+    state.accentColor = validated.accentColor;
     
-    return validated;
-}
-
-/**
- * Encode state to URL hash (base64 JSON)
- */
-function encodeStateToHash(shareableState) {
-    const json = JSON.stringify(shareableState);
-    return btoa(json);
+    return validated.changes;
 }
 
 /**
- * Decode state from URL hash
+ * Show what was adjusted while loading a configuration (replaces alert())
  */
-function decodeHashToState(hash) {
-    try {
-        const json = atob(hash);
-        return JSON.parse(json);
-    } catch (e) {
-        console.warn('Failed to decode hash:', e);
-        return null;
+function showLoadSummary(title, changes) {
+    const summaryEl = document.getElementById('load-summary');
+    if (!summaryEl) return;
+    
+    summaryEl.innerHTML = '';
+    
+    const header = document.createElement('div');
+    header.className = 'load-summary-header';
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    const dismiss = document.createElement('button');
+    dismiss.className = 'load-summary-dismiss';
+    dismiss.title = 'Dismiss';
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => summaryEl.classList.remove('visible'));
+    header.append(heading, dismiss);
+    summaryEl.appendChild(header);
+    
+    for (const change of changes) {
+        const item = document.createElement('div');
+        item.className = 'load-summary-item';
+        item.textContent = change;
+        summaryEl.appendChild(item);
     }
+    
+    summaryEl.classList.add('visible');
 }
 
 /**
- * Generate shareable URL with current state
+ * Generate shareable URL with current state (versioned format, see shareState.js)
  */
 function generateShareUrl() {
     const shareableState = getShareableState();
-    const hash = encodeStateToHash(shareableState);
+    const dimensions = getExportDimensions();
+    const hash = encodeShareState(shareableState, {
+        nozzleOffset: dimensions?.nozzleOffset,
+        envelopeSize: dimensions?.envelope?.size
+    });
     const baseUrl = window.location.origin + window.location.pathname;
     return `${baseUrl}#${hash}`;
 }
@@ -128,28 +182,24 @@ function loadStateFromHash() {
     const hash = window.location.hash.slice(1); // Remove '#'
     if (!hash) return false;
 
-    const decoded = decodeHashToState(hash);
+    const decoded = decodeShareState(hash);
     if (!decoded) {
         // Invalid share URL - notify user
         console.warn('Invalid configuration URL - ignoring and using existing/default config');
-        setTimeout(() => {
-            alert('The shared configuration URL is invalid or corrupted. Loading your saved configuration instead.');
-        }, 500); // Delay to ensure DOM is ready
+        showLoadSummary('Shared configuration not loaded', [
+            'The shared configuration URL is invalid or corrupted. Your saved configuration was loaded instead.'
+        ]);
         return false;
     }
 
-    // Merge config with validation
-    if (decoded.config) {
-        const validatedConfig = validateConfig(decoded.config);
-        Object.assign(state.config, validatedConfig);
+    // Older links are migrated to current option ids while decoding
+    const changes = applyLoadedState(decoded);
+    if (decoded.dimensions) {
+        state.sharedDimensions = { ...decoded.dimensions, config: JSON.stringify(state.config) };
     }
-
-    // Merge colors
-    if (decoded.mainColor !== undefined) {
-        state.mainColor = decoded.mainColor;
-    }
-    if (decoded.accentColor !== undefined) {
-        state.accentColor = decoded.accentColor;
+    if (changes.length > 0) {
+        console.warn('Shared configuration adjusted:', changes);
+        showLoadSummary('Shared configuration adjusted', changes);
     }
 
     return true;
@@ -176,20 +226,12 @@ function loadStateFromSession() {
         if (!stored) return false;
 
         const decoded = JSON.parse(stored);
-        if (!decoded) return false;
-
-        // Merge config with validation
-        if (decoded.config) {
-            const validatedConfig = validateConfig(decoded.config);
-            Object.assign(state.config, validatedConfig);
-        }
+        if (!decoded || typeof decoded !== 'object') return false;
 
-        // Merge colors
-        if (decoded.mainColor !== undefined) {
-            state.mainColor = decoded.mainColor;
-        }
-        if (decoded.accentColor !== undefined) {
-            state.accentColor = decoded.accentColor;
+        const changes = applyLoadedState(decoded);
+        if (changes.length > 0) {
+            console.warn('Saved configuration adjusted:', changes);
+            showLoadSummary('Saved configuration adjusted', changes);
         }
 
         return true;
@@ -224,13 +266,13 @@ function resetToDefaults() {
 }
 
 /**
- * Show/hide WW-BMG options based on extruder
+ * Show/hide nested sub-options (e.g. WW-BMG sensors) based on the option they depend on
  */
-function updateWwbmgOptionsVisibility() {
-    const wwbmgOptions = document.getElementById('wwbmg-options');
-    if (wwbmgOptions) {
-        wwbmgOptions.style.display = state.config.extruder === 'wwbmg' ? 'block' : 'none';
-    }
+function updateSubOptionsVisibility() {
+    document.querySelectorAll('.sub-options[data-depends-key]').forEach(subOptions => {
+        const isVisible = state.config[subOptions.dataset.dependsKey] === subOptions.dataset.dependsValue;
+        subOptions.style.display = isVisible ? 'block' : 'none';
+    });
 }
 
 /**
@@ -239,14 +281,14 @@ function updateWwbmgOptionsVisibility() {
 function syncUIToState() {
     // Sync config radio buttons
     for (const [key, value] of Object.entries(state.config)) {
-        // Convert camelCase to kebab-case
-        const inputName = key.replace(/([A-Z])/g, '-$1').toLowerCase();
+        const inputName = toInputName(key);
+        const group = partsManifest.configOptions[key];
 
-        if (typeof value === 'boolean') {
-            // Checkbox
+        if (group?.input === 'checkbox') {
+            // Checkbox - checked selects the non-default option
             const checkbox = document.querySelector(`input[name="${inputName}"][type="checkbox"]`);
             if (checkbox) {
-                checkbox.checked = value;
+                checkbox.checked = value !== getDefaultOptionId(group);
             }
         } else {
             // Radio button
@@ -270,7 +312,489 @@ function syncUIToState() {
         accentColorInput.value = '#' + accentColorHex;
     }
 
-    updateWwbmgOptionsVisibility();
+    updateSubOptionsVisibility();
+}
+
+// ============================================
+// Undo / Redo (see undoHistory.js)
+// ============================================
+
+const configHistory = createHistory();
+
+/**
+ * Copy of the shareable state for the undo history
+ */
+function takeSnapshot() {
+    return {
+        config: { ...state.config },
+        mainColor: state.mainColor,
+        accentColor: state.accentColor
+    };
+}
+
+/**
+ * Make a change to the configuration or colors as one undoable step
+ * Changes that leave the state as it was aren't recorded.
+ * @param {Function} change - Updates state (the caller updates UI and viewer)
+ * @param {string} [coalesceKey] - Consecutive changes with the same key are one step (color drags)
+ */
+function recordChange(change, coalesceKey = null) {
+    const before = takeSnapshot();
+    change();
+    
+    if (encodeShareState(before) !== encodeShareState(getShareableState())) {
+        recordHistory(configHistory, before, coalesceKey);
+        updateHistoryButtons();
+    }
+}
+
+function restoreSnapshot(snapshot) {
+    state.config = snapshot.config;
+    state.mainColor = snapshot.mainColor;
+    state.accentColor = snapshot.accentColor;
+    
+    syncUIToState();
+    updateViewer();
+    updateModelColors();
+    saveStateToSession();
+    updateHistoryButtons();
+}
+
+function undoChange() {
+    const snapshot = undoHistory(configHistory, takeSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+}
+
+function redoChange() {
+    const snapshot = redoHistory(configHistory, takeSnapshot());
+    if (snapshot) restoreSnapshot(snapshot);
+}
+
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+    if (undoBtn) undoBtn.disabled = !canUndo(configHistory);
+    if (redoBtn) redoBtn.disabled = !canRedo(configHistory);
+}
+
+function setupHistoryControls() {
+    document.getElementById('btn-undo').addEventListener('click', undoChange);
+    document.getElementById('btn-redo').addEventListener('click', redoChange);
+    
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+        if (e.target.matches?.('input[type="text"], textarea')) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            redoChange();
+        } else {
+            undoChange();
+        }
+    });
+    
+    updateHistoryButtons();
+}
+
+// ============================================
+// My Builds (named configurations in localStorage, see savedBuilds.js)
+// ============================================
+
+let savedBuilds = [];
+// Why saving is disabled while localStorage holds builds that can't be read
+// (and must not be overwritten), or null
+let buildsReadOnlyMessage = null;
+
+function formatModified(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Write the builds to localStorage and refresh the list
+ * @returns {boolean} false if storage is unavailable or full, or holds builds that can't be read
+ */
+function storeBuilds(builds) {
+    if (buildsReadOnlyMessage) {
+        alert(buildsReadOnlyMessage);
+        return false;
+    }
+
+    try {
+        writeBuilds(builds);
+    } catch (e) {
+        console.warn('Failed to save builds:', e);
+        if (readBuilds().unreadable) {
+            // Became unreadable since it was loaded (e.g. another tab): back up and tell
+            loadSavedBuilds();
+        } else {
+            alert('Your builds could not be saved - browser storage is unavailable or full.');
+        }
+        return false;
+    }
+
+    savedBuilds = builds;
+    renderBuildsList();
+    renderCompareOptions();
+    return true;
+}
+
+/**
+ * Save the current configuration under the name in #build-name
+ * Saving under an existing name replaces that build (after confirming)
+ */
+function saveCurrentBuild() {
+    const nameInput = document.getElementById('build-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+
+    const existing = findBuildByName(savedBuilds, name);
+    if (existing) {
+        if (!confirm(`Replace the saved build "${existing.name}" with the current configuration?`)) return;
+        storeBuilds(updateBuild(savedBuilds, existing.id, getShareableState()));
+    } else {
+        storeBuilds([...savedBuilds, createBuild(name, getShareableState())]);
+    }
+
+    nameInput.value = '';
+}
+
+/**
+ * Load a saved build into the configurator
+ */
+function loadBuild(id) {
+    const build = savedBuilds.find(b => b.id === id);
+    if (!build) return;
+
+    // Builds may predate manifest changes - validated like shared/session state
+    let changes = [];
+    recordChange(() => {
+        changes = applyLoadedState(build);
+    });
+    if (changes.length > 0) {
+        console.warn(`Build "${build.name}" adjusted:`, changes);
+        showLoadSummary(`Build "${build.name}" adjusted`, changes);
+    }
+
+    syncUIToState();
+    updateViewer();
+    updateModelColors();
+    saveStateToSession();
+}
+
+function renameBuild(id) {
+    const build = savedBuilds.find(b => b.id === id);
+    if (!build) return;
+
+    const name = prompt('Rename build', build.name)?.trim();
+    if (!name || name === build.name) return;
+
+    const existing = findBuildByName(savedBuilds, name);
+    if (existing && existing.id !== id) {
+        alert(`A build named "${existing.name}" already exists.`);
+        return;
+    }
+
+    storeBuilds(updateBuild(savedBuilds, id, { name }));
+}
+
+function removeBuild(id) {
+    const build = savedBuilds.find(b => b.id === id);
+    if (build && confirm(`Delete the saved build "${build.name}"?`)) {
+        storeBuilds(deleteBuild(savedBuilds, id));
+    }
+}
+
+/**
+ * Download the whole collection as a JSON file
+ */
+function exportBuilds() {
+    if (savedBuilds.length === 0) {
+        alert('There are no saved builds to export.');
+        return;
+    }
+
+    const blob = new Blob([serializeBuilds(savedBuilds)], { type: 'application/json' });
+    saveBlob(blob, 'A4T-builds.json');
+}
+
+/**
+ * Add the builds from an exported JSON file (never overwrites existing builds)
+ */
+async function importBuilds(file) {
+    let imported;
+    try {
+        imported = parseBuilds(await file.text());
+    } catch (e) {
+        console.warn('Failed to import builds:', e);
+        alert(`Could not import "${file.name}": ${e.message}`);
+        return;
+    }
+
+    if (!storeBuilds(mergeBuilds(savedBuilds, imported.builds))) return;
+
+    let message = `Imported ${imported.builds.length} build(s).`;
+    if (imported.skipped > 0) {
+        message += `\n${imported.skipped} invalid entr${imported.skipped === 1 ? 'y was' : 'ies were'} skipped.`;
+    }
+    alert(message);
+}
+
+/**
+ * Render the saved builds, most recently modified first
+ */
+function renderBuildsList() {
+    const listEl = document.getElementById('builds-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (savedBuilds.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'builds-empty';
+        empty.textContent = 'No saved builds yet';
+        listEl.appendChild(empty);
+        return;
+    }
+
+    for (const build of sortBuilds(savedBuilds)) {
+        const li = document.createElement('li');
+        li.className = 'build-entry';
+        li.dataset.buildId = build.id;
+
+        const loadBtn = document.createElement('button');
+        loadBtn.className = 'build-load';
+        loadBtn.dataset.action = 'load';
+        loadBtn.title = 'Load this build';
+        loadBtn.textContent = build.name;
+
+        const meta = document.createElement('div');
+        meta.className = 'build-meta';
+        const modified = document.createElement('span');
+        modified.className = 'build-modified';
+        modified.textContent = formatModified(build.modified);
+        modified.title = 'Last modified';
+
+        const actions = document.createElement('div');
+        actions.className = 'build-actions';
+        for (const [action, label] of [['rename', 'Rename'], ['duplicate', 'Duplicate'], ['delete', 'Delete']]) {
+            const btn = document.createElement('button');
+            btn.className = `build-action ${action}`;
+            btn.dataset.action = action;
+            btn.textContent = label;
+            actions.appendChild(btn);
+        }
+
+        meta.append(modified, actions);
+        li.append(loadBtn, meta);
+        listEl.appendChild(li);
+    }
+}
+
+/**
+ * Read the builds from localStorage
+ * A corrupt collection is moved to a backup key so saving can't wipe it; one from a
+ * newer version stays in place and saving is disabled. Either way the user is told.
+ */
+function loadSavedBuilds() {
+    const { builds, unreadable } = readBuilds();
+    const previousMessage = buildsReadOnlyMessage;
+    savedBuilds = builds;
+    buildsReadOnlyMessage = null;
+
+    if (unreadable?.reason === 'newer') {
+        buildsReadOnlyMessage = 'Your saved builds were saved by a newer version of the configurator. ' +
+            'Reload the page to use them - saving builds is disabled here so they are not overwritten.';
+    } else if (unreadable) {
+        try {
+            const backupKey = backupBuilds();
+            alert(`Your saved builds could not be read (${unreadable.message}).\n\n` +
+                `They were moved to "${backupKey}" in the browser's local storage, and new builds start a fresh list.`);
+        } catch (e) {
+            console.warn('Failed to back up saved builds:', e);
+            buildsReadOnlyMessage = `Your saved builds could not be read (${unreadable.message}). ` +
+                'Saving builds is disabled so they are not overwritten.';
+        }
+    }
+    if (buildsReadOnlyMessage && buildsReadOnlyMessage !== previousMessage) {
+        alert(buildsReadOnlyMessage);
+    }
+
+    renderBuildsList();
+    renderCompareOptions();
+}
+
+function setupBuildsPanel() {
+    loadSavedBuilds();
+
+    document.getElementById('save-build-btn').addEventListener('click', saveCurrentBuild);
+    document.getElementById('build-name').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') saveCurrentBuild();
+    });
+
+    document.getElementById('builds-list').addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        const id = button?.closest('.build-entry')?.dataset.buildId;
+        if (!id) return;
+
+        switch (button.dataset.action) {
+            case 'load': loadBuild(id); break;
+            case 'rename': renameBuild(id); break;
+            case 'duplicate': storeBuilds(duplicateBuild(savedBuilds, id)); break;
+            case 'delete': removeBuild(id); break;
+        }
+    });
+
+    // Import / export
+    const importInput = document.getElementById('import-builds-input');
+    document.getElementById('import-builds-btn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', async () => {
+        const [file] = importInput.files;
+        importInput.value = '';  // Allow importing the same file again
+        if (file) await importBuilds(file);
+    });
+    document.getElementById('export-builds-btn').addEventListener('click', exportBuilds);
+
+    // Keep the list in sync with builds saved in other tabs
+    window.addEventListener('storage', (e) => {
+        if (e.key === BUILDS_STORAGE_KEY) {
+            loadSavedBuilds();
+        }
+    });
+}
+
+// ============================================
+// Configuration Sidebar
+// ============================================
+
+/**
+ * Convert a camelCase config key to its kebab-case input name
+ */
+function toInputName(key) {
+    return key.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+/**
+ * Convert a kebab-case input name to its camelCase config key
+ */
+function toConfigKey(inputName) {
+    return inputName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+function createSectionNote(note) {
+    const noteEl = document.createElement('p');
+    noteEl.className = 'section-note';
+    noteEl.id = note.id;
+    noteEl.innerHTML = note.html;
+    return noteEl;
+}
+
+function createOptionInput(type, inputName, option, checked) {
+    const label = document.createElement('label');
+    label.className = type === 'checkbox' ? 'option checkbox' : 'option';
+    
+    const input = document.createElement('input');
+    input.type = type;
+    input.name = inputName;
+    input.value = String(option.id);
+    input.checked = checked;
+    
+    const text = document.createElement('span');
+    text.className = 'option-label';
+    text.textContent = option.label;
+    
+    label.append(input, text);
+    return label;
+}
+
+/**
+ * Build the option group for one config key
+ * Dependent groups are nested as sub-options under the option they depend on
+ */
+function createOptionGroup(key, notes = []) {
+    const group = partsManifest.configOptions[key];
+    const inputName = toInputName(key);
+    
+    const groupEl = document.createElement('div');
+    groupEl.className = 'option-group';
+    groupEl.dataset.config = inputName;
+    
+    if (group.input === 'checkbox') {
+        const checkedOption = group.options.find(o => !o.default);
+        groupEl.appendChild(createOptionInput('checkbox', inputName, checkedOption, false));
+        return groupEl;
+    }
+    
+    for (const option of group.options) {
+        for (const note of notes.filter(n => n.before === option.id)) {
+            groupEl.appendChild(createSectionNote(note));
+        }
+        groupEl.appendChild(createOptionInput('radio', inputName, option, option.default === true));
+        
+        const subGroupKeys = Object.keys(partsManifest.configOptions)
+            .filter(subKey => partsManifest.configOptions[subKey].dependsOn?.[key] === option.id);
+        if (subGroupKeys.length > 0) {
+            const subOptions = document.createElement('div');
+            subOptions.className = 'sub-options';
+            subOptions.id = `${option.id}-options`;
+            subOptions.dataset.dependsKey = key;
+            subOptions.dataset.dependsValue = option.id;
+            
+            for (const subKey of subGroupKeys) {
+                const subLabel = document.createElement('span');
+                subLabel.className = 'sub-options-label';
+                subLabel.textContent = partsManifest.configOptions[subKey].label;
+                subOptions.append(subLabel, createOptionGroup(subKey));
+            }
+            groupEl.appendChild(subOptions);
+        }
+    }
+    
+    return groupEl;
+}
+
+/**
+ * Render the configuration sections from partsManifest.configSections / configOptions
+ */
+function renderConfigSections() {
+    const container = document.getElementById('config-sections');
+    
+    for (const section of partsManifest.configSections) {
+        const sectionEl = document.createElement('section');
+        sectionEl.className = 'config-section';
+        if (section.id) {
+            sectionEl.id = section.id;
+        }
+        
+        const title = document.createElement('h3');
+        title.textContent = section.title;
+        sectionEl.appendChild(title);
+        
+        // Notes without a 'before' option go at the top of the section
+        const notes = section.notes || [];
+        for (const note of notes.filter(n => !n.before)) {
+            sectionEl.appendChild(createSectionNote(note));
+        }
+        
+        for (const key of section.keys) {
+            sectionEl.appendChild(createOptionGroup(key, notes));
+        }
+        
+        container.appendChild(sectionEl);
+    }
+    
+    // Conditional notes start hidden; updateViewer() shows the relevant ones
+    for (const noteId of getConstraintNoteIds()) {
+        const note = document.getElementById(noteId);
+        if (note) {
+            note.style.display = 'none';
+        }
+    }
+    updateSectionNotes(state.config);
+    updateSubOptionsVisibility();
 }
 
 // ============================================
@@ -295,6 +819,8 @@ function darkenColor(color, amount) {
 // ============================================
 let scene, camera, renderer, controls;
 let modelGroup;  // Group to hold all part models
+let compareScene, compareGroup;  // Reference configuration in compare mode
+let helperScene;  // Tool gizmos drawn over the current configuration (not in captures)
 
 function initThreeJS() {
     const container = document.getElementById('viewer-3d');
@@ -316,6 +842,7 @@ function initThreeJS() {
     renderer.shadowMap.enabled = false;
     // renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     renderer.outputColorSpace = THREE.SRGBColorSpace;
+    renderer.localClippingEnabled = true;  // Section view (per-material clipping planes)
     container.appendChild(renderer.domElement);
     
     // Controls
@@ -326,12 +853,23 @@ function initThreeJS() {
     controls.update();
     
     // Lighting
-    setupLighting();
+    setupLighting(scene);
     
     // Model group
     modelGroup = new THREE.Group();
     scene.add(modelGroup);
     
+    // Compare mode renders a second scene with the same camera (left half of the viewer)
+    compareScene = new THREE.Scene();
+    compareScene.background = scene.background;
+    setupLighting(compareScene);
+    compareGroup = new THREE.Group();
+    compareScene.add(compareGroup);
+    
+    helperScene = new THREE.Scene();
+    setupSectionGizmo();
+    setupMeasureObjects();
+    
     // Expose for dev tools
     window.modelGroup = modelGroup;
     window.scene = scene;
@@ -347,10 +885,10 @@ function initThreeJS() {
     // Loading overlay is hidden after models finish loading in updateConfiguration()
 }
 
-function setupLighting() {
+function setupLighting(targetScene) {
     // Ambient light
     const ambient = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambient);
+    targetScene.add(ambient);
     
     // Key light
     const keyLight = new THREE.DirectionalLight(0xffffff, 1);
@@ -358,17 +896,17 @@ function setupLighting() {
     keyLight.castShadow = false;
     // keyLight.shadow.mapSize.width = 2048;
     // keyLight.shadow.mapSize.height = 2048;
-    scene.add(keyLight);
+    targetScene.add(keyLight);
     
     // Fill light
     const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
     fillLight.position.set(-50, 50, -50);
-    scene.add(fillLight);
+    targetScene.add(fillLight);
     
     // Rim light
     const rimLight = new THREE.DirectionalLight(0xe94560, 0.2);
     rimLight.position.set(0, -50, -100);
-    scene.add(rimLight);
+    targetScene.add(rimLight);
 }
 
 function onWindowResize() {
@@ -376,7 +914,9 @@ function onWindowResize() {
     const width = container.clientWidth;
     const height = container.clientHeight;
     
-    camera.aspect = width / height;
+    // Compare mode splits the viewer into two viewports side by side
+    const viewportWidth = state.compare.enabled ? width / 2 : width;
+    camera.aspect = viewportWidth / height;
     camera.updateProjectionMatrix();
     renderer.setSize(width, height);
 }
@@ -384,9 +924,65 @@ function onWindowResize() {
 function animate() {
     requestAnimationFrame(animate);
     controls.update();
+    stepExplode();
+    
+    renderView(renderer, camera, true);
+    updateMeasureLabels();
+}
+
+/**
+ * Render the viewer into a renderer (the on-screen one, or offscreen for captures)
+ * @param {boolean} [withHelpers] - Draw tool gizmos (on screen only)
+ */
+function renderView(target, viewCamera, withHelpers = false) {
+    if (state.section.enabled) {
+        sectionCaps.forEach(updateSectionCaps);
+    }
+    
+    if (state.compare.enabled) {
+        renderSplitView(target, viewCamera, withHelpers);
+        return;
+    }
     
     // Render main scene
-    renderer.render(scene, camera);
+    target.render(scene, viewCamera);
+    if (withHelpers) {
+        renderHelpers(target, viewCamera);
+    }
+}
+
+/**
+ * Draw the helper scene over what was just rendered
+ */
+function renderHelpers(target, viewCamera) {
+    target.autoClear = false;
+    target.render(helperScene, viewCamera);
+    target.autoClear = true;
+}
+
+/**
+ * Render the reference configuration (left) and the current one (right)
+ * Both halves use the same camera, so orbiting either side moves both.
+ */
+function renderSplitView(target, viewCamera, withHelpers) {
+    const size = target.getSize(new THREE.Vector2());
+    const half = Math.floor(size.x / 2);
+    
+    target.setScissorTest(true);
+    
+    target.setViewport(0, 0, half, size.y);
+    target.setScissor(0, 0, half, size.y);
+    target.render(compareScene, viewCamera);
+    
+    target.setViewport(half, 0, size.x - half, size.y);
+    target.setScissor(half, 0, size.x - half, size.y);
+    target.render(scene, viewCamera);
+    if (withHelpers) {
+        renderHelpers(target, viewCamera);
+    }
+    
+    target.setScissorTest(false);
+    target.setViewport(0, 0, size.x, size.y);
 }
 
 // ============================================
@@ -419,18 +1015,8 @@ function deepCloneModel(source) {
 }
 
 async function loadModel(partId, partData, isHexCowl = false) {
-    // Build file path: basePath + file + extension
-    let filePath;
-    
-    if (isHexCowl && partData.category === 'cowlings') {
-        // For hex cowlings, prepend "Hex " to the filename
-        const parts = partData.file.split('/');
-        const fileName = parts.pop();
-        parts.push('Hex ' + fileName);
-        filePath = partsManifest.basePath + parts.join('/') + '.' + partsManifest.fileExtension;
-    } else {
-        filePath = partsManifest.basePath + partData.file + '.' + partsManifest.fileExtension;
-    }
+    // Build file path: basePath + file + extension ("Hex " prefix for hex cowlings)
+    const filePath = getModelPath(partData, isHexCowl);
     
     // Check cache first
     if (state.loadedModels.has(filePath)) {
@@ -501,17 +1087,14 @@ function applyMaterial(model, color, opacity = 1.0, partId = null, isHexCowl = f
             }
             
             let meshColor = color;
-            let meshOpacity = opacity;
             
             // Apply different colors to hex cowling sub-parts
             if (isHexCowl) {
                 if (allNames.includes('hexagon')) {
                     meshColor = state.accentColor;
-                    meshOpacity = 1.0;
                 } else {
                     // Main cowling body - main color
                     meshColor = state.mainColor;
-                    meshOpacity = 1.0;
                 }
             }
             // Apply different colors to WW-BMG sub-parts using custom colors
@@ -524,7 +1107,6 @@ function applyMaterial(model, color, opacity = 1.0, partId = null, isHexCowl = f
                 for (const [partName, partColor] of Object.entries(wwbmgPartColors)) {
                     if (allNames.includes(partName)) {
                         meshColor = partColor;
-                        meshOpacity = 1.0;
                         break;
                     }
                 }
@@ -534,8 +1116,8 @@ function applyMaterial(model, color, opacity = 1.0, partId = null, isHexCowl = f
                 color: meshColor,
                 metalness: 0.1,
                 roughness: 0.7,
-                transparent: meshOpacity < 1.0,
-                opacity: meshOpacity
+                transparent: opacity < 1.0,
+                opacity
             });
             child.castShadow = false;
             child.receiveShadow = false;
@@ -544,171 +1126,1168 @@ function applyMaterial(model, color, opacity = 1.0, partId = null, isHexCowl = f
 }
 
 /**
- * Re-apply materials to all active models (used when colors change)
+ * Base color and opacity of a part (sub-part colors are handled in applyMaterial)
+ * Opacity comes from the outliner, or the manifest default (see-through reference models).
+ * @returns {{color: number, opacity: number}}
  */
-function updateModelColors() {
-    state.activeModels.forEach((model, partId) => {
-        const part = model.userData;
-        if (!part) return;
-        
-        // Determine base color and opacity for this part
-        let color, opacity = 1.0;
-        
-        // Crossbow assembly - matches carriage (check first, before category)
-        if (partId === 'crossbow-assembly') {
-            color = 0x888888;
-            opacity = 0.6;
-        // Cowlings use main color
-        } else if (part.category === 'cowlings') {
-            color = state.mainColor;
+function getPartAppearance(part) {
+    return { color: getPartColor(part), opacity: getPartOpacity(part) };
+}
+
+function getPartColor(part) {
+    // Crossbow assembly - matches carriage (check first, before category)
+    if (part.id === 'crossbow-assembly') {
+        return 0x888888;
+    }
+    
+    switch (part.category) {
+        // Cowlings use main color (customizable)
+        case 'cowlings':
+            return state.mainColor;
         // Hotend ducts are slightly darker for contrast
-        } else if (part.category === 'hotendDucts') {
-            color = darkenColor(state.mainColor, 0.2);
-        // Parts that use accent color
-        } else if (part.category === 'extruderAdapters' || part.category === 'boardMounts') {
-            color = state.accentColor;
-        // WW-BMG has sub-parts handled in applyMaterial
-        } else if (part.category === 'wwbmg') {
-            color = state.mainColor;  // Default, sub-parts override
-        // Other categories keep their fixed colors
-        } else if (part.category === 'carriages' || part.category === 'hotends' || part.category === 'extruders') {
-            color = 0x888888;
-            opacity = 0.6;
-        } else if (part.category === 'hotendSpacers') {
-            color = 0xd94a4a;
-        } else if (part.category === 'ledHolders') {
-            color = 0xeeeeee;
-        } else {
-            color = 0x888888;
-        }
-        
-        // Pass isHexCowl flag for proper sub-part coloring
-        applyMaterial(model, color, opacity, partId, part.isHexCowl || false);
-    });
+        case 'hotendDucts':
+            return darkenColor(state.mainColor, 0.2);
+        // Parts that use accent color (customizable)
+        case 'extruderAdapters':
+        case 'boardMounts':
+            return state.accentColor;
+        // WW-BMG uses main color as base, sub-parts handled in applyMaterial
+        case 'wwbmg':
+            return state.mainColor;
+        // Fixed colors for other categories
+        case 'hotendSpacers':
+            return 0xd94a4a;
+        case 'ledHolders':
+            return 0xeeeeee;
+        default:
+            return 0x888888;
+    }
 }
 
-// ============================================
-// Configuration Logic
-// ============================================
+/**
+ * Re-apply materials to all active models (used when colors change)
+ */
+function updateModelColors() {
+    // Current configuration and, in compare mode, the reference configuration
+    for (const activeModels of [state.activeModels, state.compare.activeModels]) {
+        activeModels.forEach((model, partId) => {
+            const part = model.userData;
+            if (!part) return;
+            
+            const { color, opacity } = getPartAppearance(part);
+            
+            // Pass isHexCowl flag for proper sub-part coloring
+            applyMaterial(model, color, opacity, partId, part.isHexCowl || false);
+            applyPartDisplay(model);
+        });
+    }
+    
+    // Caps take their colors from the materials
+    refreshSectionCaps();
+}
+
+/**
+ * Load a part's model and prepare it for the scene (transform, material, userData)
+ * @returns {Promise<THREE.Object3D|null>} null if the model failed to load
+ */
+async function createPartModel(part, config) {
+    // Determine if this is a hex cowling
+    const isHexCowl = config.hexCowl && part.category === 'cowlings';
+    
+    const model = await loadModel(part.id, part, isHexCowl);
+    if (!model) {
+        return null;
+    }
+    
+    applyTransform(model, part.transform);
+    
+    // Apply material color - use custom colors for main/accent parts
+    const { color, opacity } = getPartAppearance(part);
+    applyMaterial(model, color, opacity, part.id, isHexCowl);
+    
+    model.name = part.id;
+    model.userData = {
+        ...part,
+        isHexCowl,  // Store hex cowl state for color updates
+        assembledPosition: model.position.clone()  // Exploded view moves away from here
+    };
+    applyExplode(model);
+    applyPartDisplay(model);
+    return model;
+}
 
 /**
- * Check if a part variant matches the current configuration
+ * Add and remove models in a group so it shows the parts of a configuration
+ * Used for the main viewer and the reference side of compare mode
+ * @param {THREE.Group} group
+ * @param {Map<string, THREE.Object3D>} activeModels - Models currently in the group, by part id
+ * @param {Object} config
  */
-function partMatchesConfig(partData, config) {
-    // Check required exact matches
-    if (partData.requires) {
-        for (const [key, value] of Object.entries(partData.requires)) {
-            if (config[key] !== value) {
-                return false;
+async function syncModels(group, activeModels, config) {
+    const matchingParts = getMatchingParts(config);
+    const newPartIds = new Set(matchingParts.map(p => p.id));
+    const currentPartIds = new Set(activeModels.keys());
+    
+    // Find parts to remove (in current but not in new)
+    const toRemoveSet = new Set([...currentPartIds].filter(id => !newPartIds.has(id)));
+    
+    // Find parts to add (in new but not in current)
+    const toAddSet = new Set(matchingParts.filter(p => !currentPartIds.has(p.id)).map(p => p.id));
+    
+    // Check if any existing cowlings need to be reloaded due to hexCowl change
+    for (const [partId, model] of activeModels) {
+        const part = model.userData;
+        if (part && part.category === 'cowlings') {
+            const currentIsHex = part.isHexCowl || false;
+            const shouldBeHex = config.hexCowl;
+            if (currentIsHex !== shouldBeHex) {
+                // Cowling hex state changed - need to reload
+                toRemoveSet.add(partId);
+                toAddSet.add(partId);
             }
         }
     }
     
-    // Check requiresAny (for each key, at least one value must match - ALL keys must pass)
-    if (partData.requiresAny) {
-        for (const [key, values] of Object.entries(partData.requiresAny)) {
-            if (!values.includes(config[key])) {
-                return false;
+    // Convert sets back to arrays, getting full part data for toAdd
+    const toRemove = [...toRemoveSet];
+    const toAdd = matchingParts.filter(p => toAddSet.has(p.id));
+    
+    // Only show loading if we need to load new models (not cached)
+    const needsLoading = toAdd.some(part => {
+        return !state.loadedModels.has(getModelPath(part, config.hexCowl));
+    });
+    
+    if (needsLoading) {
+        state.loadingCount++;
+        document.getElementById('loading').classList.remove('hidden');
+    }
+    
+    try {
+        // Remove parts that are no longer needed
+        for (const partId of toRemove) {
+            const model = activeModels.get(partId);
+            if (model) {
+                group.remove(model);
+                activeModels.delete(partId);
+            }
+        }
+        
+        // Add new parts
+        for (const part of toAdd) {
+            try {
+                // Safety check: ensure we don't add duplicates
+                if (activeModels.has(part.id)) {
+                    continue;
+                }
+                
+                const model = await createPartModel(part, config);
+                
+                // Skip if model failed to load
+                if (!model) {
+                    continue;
+                }
+                
+                // Add to scene
+                group.add(model);
+                activeModels.set(part.id, model);
+            
+            } catch (error) {
+                console.warn(`Failed to load part ${part.id}:`, error);
             }
         }
+    } finally {
+        // Hide loading unless another load still runs (main and compare views load side by side)
+        if (needsLoading && --state.loadingCount === 0) {
+            document.getElementById('loading').classList.add('hidden');
+        }
     }
     
-    // Check exclusions
-    if (partData.excludeIf) {
-        for (const [key, values] of Object.entries(partData.excludeIf)) {
-            if (values.includes(config[key])) {
-                return false;
+    refreshSectionCaps();
+}
+
+// ============================================
+// Exploded View
+// ============================================
+
+// Fraction of the remaining distance covered per frame while animating
+const EXPLODE_EASING = 0.15;
+
+/**
+ * Place a model at its assembled position plus its category's explode offset
+ */
+function applyExplode(model) {
+    const { assembledPosition, category } = model.userData;
+    if (!assembledPosition) return;
+    
+    const [x, y, z] = getExplodeOffset(category);
+    model.position.set(x, y, z).multiplyScalar(state.explode.amount).add(assembledPosition);
+}
+
+function updateExplodedModels() {
+    state.activeModels.forEach(applyExplode);
+    state.compare.activeModels.forEach(applyExplode);
+}
+
+/**
+ * Ease the explode amount towards its target (called every frame)
+ */
+function stepExplode() {
+    const explode = state.explode;
+    if (explode.amount === explode.target) return;
+    
+    explode.amount += (explode.target - explode.amount) * EXPLODE_EASING;
+    if (Math.abs(explode.target - explode.amount) < 0.001) {
+        explode.amount = explode.target;
+    }
+    updateExplodedModels();
+}
+
+/**
+ * Animate to an explode amount and sync the slider and toggle button
+ * @param {number} target - 0 (assembled) to 1 (fully exploded)
+ */
+function setExplodeTarget(target) {
+    state.explode.target = target;
+    document.getElementById('explode-slider').value = Math.round(target * 100);
+    document.getElementById('btn-explode').classList.toggle('active', target > 0);
+}
+
+function toggleExplode() {
+    setExplodeTarget(state.explode.target > 0 ? 0 : 1);
+}
+
+// ============================================
+// Outliner (per-part visibility, isolation, opacity and selection)
+// ============================================
+
+// Emissive tints of the selected part and the part under the pointer
+const SELECTION_EMISSIVE = 0x2a3f5f;
+const HOVER_EMISSIVE = 0x4a4a4a;
+
+// Pointer movement (px) below which a press on the canvas counts as a click, not an orbit
+const CLICK_TOLERANCE_PX = 4;
+
+function getPartOpacity(part) {
+    return state.partDisplay.get(part.id)?.opacity ?? getDefaultOpacity(part);
+}
+
+function isPartShown(partId) {
+    if (state.isolatedPartId) {
+        return partId === state.isolatedPartId;
+    }
+    return !state.partDisplay.get(partId)?.hidden;
+}
+
+/**
+ * Set an outliner override for a part, e.g. { hidden: true } or { opacity: 0.5 }
+ */
+function setPartDisplay(partId, changes) {
+    state.partDisplay.set(partId, { ...state.partDisplay.get(partId), ...changes });
+}
+
+/**
+ * Apply wireframe, visibility and selection to a model
+ * (opacity is part of its material, see getPartAppearance)
+ */
+function applyPartDisplay(model) {
+    const partId = model.userData.id;
+    let emissive = 0x000000;
+    if (partId === state.hoveredPartId) {
+        emissive = HOVER_EMISSIVE;
+    } else if (partId === state.selectedPartId) {
+        emissive = SELECTION_EMISSIVE;
+    }
+    
+    const clippingPlanes = isPartClipped(model.userData) ? [sectionPlane] : null;
+    
+    model.visible = isPartShown(partId);
+    model.traverse((child) => {
+        if (child.isMesh) {
+            child.material.wireframe = state.wireframe;
+            child.material.emissive.setHex(emissive);
+            child.material.clippingPlanes = clippingPlanes;
+        }
+    });
+}
+
+/**
+ * Change the opacity of a model's materials in place (outliner slider)
+ */
+function setModelOpacity(model, opacity) {
+    model.traverse((child) => {
+        if (child.isMesh) {
+            // Switching between opaque and transparent needs a shader recompile
+            if (child.material.transparent !== opacity < 1.0) {
+                child.material.needsUpdate = true;
             }
+            child.material.transparent = opacity < 1.0;
+            child.material.opacity = opacity;
         }
+    });
+}
+
+/**
+ * Re-apply the outliner state to all models and redraw the outliner
+ * Isolation and selection are dropped when their part leaves the scene.
+ */
+function updatePartDisplay() {
+    if (state.isolatedPartId && !state.activeModels.has(state.isolatedPartId)) {
+        state.isolatedPartId = null;
     }
-    
-    // Check always-include parts
-    if (partData.always) {
-        return true;
+    if (state.selectedPartId && !state.activeModels.has(state.selectedPartId)) {
+        state.selectedPartId = null;
     }
     
-    return true;
+    // Same part ids in the reference configuration follow the outliner too
+    state.activeModels.forEach(applyPartDisplay);
+    state.compare.activeModels.forEach(applyPartDisplay);
+    renderOutliner();
+}
+
+function toggleIsolate(partId) {
+    state.isolatedPartId = state.isolatedPartId === partId ? null : partId;
+    updatePartDisplay();
+}
+
+function showAllParts() {
+    state.isolatedPartId = null;
+    state.partDisplay.forEach(display => { display.hidden = false; });
+    updatePartDisplay();
 }
 
 /**
- * Get all parts that match the current configuration
+ * Select a part (null to clear) and reveal it in the outliner
  */
-function getMatchingParts(config) {
-    const matching = [];
+function selectPart(partId) {
+    state.selectedPartId = partId;
+    updatePartDisplay();
+    
+    if (partId) {
+        setOutlinerOpen(true);
+        document.querySelector(`.outliner-entry[data-part-id="${partId}"]`)
+            ?.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+function renderOutliner() {
+    const listEl = document.getElementById('outliner-list');
+    listEl.innerHTML = '';
     
-    // Check if current extruder has no extruder adapter (like Sherpa Mini)
-    const extruderRule = partsManifest.compatibility[config.extruder];
-    const skipExtruderAdapterForExtruder = extruderRule?.noExtruderAdapter === true;
+    // Group by category in manifest order
+    const byCategory = new Map();
+    state.activeModels.forEach((model) => {
+        const part = model.userData;
+        if (!byCategory.has(part.category)) {
+            byCategory.set(part.category, []);
+        }
+        byCategory.get(part.category).push(part);
+    });
     
-    // Check if current hotend has no extruder adapter (like UHF)
-    const hotendRule = partsManifest.compatibility[config.hotend];
-    const skipExtruderAdapterForHotend = hotendRule?.noExtruderAdapter === true;
+    for (const categoryId of Object.keys(partsManifest.parts)) {
+        const categoryParts = byCategory.get(categoryId);
+        if (!categoryParts) continue;
+        
+        const headerLi = document.createElement('li');
+        headerLi.className = 'outliner-category';
+        headerLi.textContent = partsManifest.parts[categoryId].category;
+        listEl.appendChild(headerLi);
+        
+        for (const part of categoryParts) {
+            const shown = isPartShown(part.id);
+            const isolated = part.id === state.isolatedPartId;
+            const opacity = Math.round(getPartOpacity(part) * 100);
+            
+            const li = document.createElement('li');
+            li.className = 'outliner-entry';
+            li.classList.toggle('selected', part.id === state.selectedPartId);
+            li.classList.toggle('hidden-part', !shown);
+            li.dataset.partId = part.id;
+            li.innerHTML = `
+                <div class="outliner-row">
+                    <button class="outliner-action${shown ? '' : ' off'}" data-action="visibility" title="${shown ? 'Hide' : 'Show'}"${state.isolatedPartId ? ' disabled' : ''}>
+                        <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/></svg>
+                    </button>
+                    <span class="outliner-name" title="${part.id}">${part.file.split('/').pop()}</span>
+                    <button class="outliner-action${isolated ? ' active' : ''}" data-action="isolate" title="${isolated ? 'Show all parts' : 'Isolate'}">
+                        <svg viewBox="0 0 24 24" width="14" height="14"><path fill="currentColor" d="M12 8c-2.21 0-4 1.79-4 4s1.79 4 4 4 4-1.79 4-4-1.79-4-4-4zm8.94 3A8.994 8.994 0 0013 3.06V1h-2v2.06A8.994 8.994 0 003.06 11H1v2h2.06A8.994 8.994 0 0011 20.94V23h2v-2.06A8.994 8.994 0 0020.94 13H23v-2h-2.06zM12 19c-3.87 0-7-3.13-7-7s3.13-7 7-7 7 3.13 7 7-3.13 7-7 7z"/></svg>
+                    </button>
+                </div>
+                <input type="range" class="outliner-opacity" min="5" max="100" value="${opacity}" title="Opacity ${opacity}%">
+            `;
+            listEl.appendChild(li);
+        }
+    }
+}
+
+function setOutlinerOpen(open) {
+    document.getElementById('outliner-panel').classList.toggle('visible', open);
+    document.getElementById('btn-outliner').classList.toggle('active', open);
+}
+
+/**
+ * Client rectangle of the viewport showing the current configuration
+ * (the right half of the canvas in compare mode)
+ */
+function getViewportRect() {
+    const rect = renderer.domElement.getBoundingClientRect();
+    if (!state.compare.enabled) {
+        return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+    }
+    return { left: rect.left + rect.width / 2, top: rect.top, width: rect.width / 2, height: rect.height };
+}
+
+/**
+ * Part model under a pointer event on the canvas (current configuration only)
+ * @returns {THREE.Object3D|null} Model from state.activeModels
+ */
+function pickPart(event) {
+    return raycastParts(event)?.model ?? null;
+}
+
+/**
+ * Nearest visible point of the current models under a pointer event
+ * @returns {{model: THREE.Object3D, hit: Object}|null} hit is the raycaster intersection
+ */
+function raycastParts(event) {
+    const rect = getViewportRect();
+    if (event.clientX < rect.left) return null;
     
-    const skipExtruderAdapter = skipExtruderAdapterForExtruder || skipExtruderAdapterForHotend;
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(pointer, camera);
+    
+    for (const hit of raycaster.intersectObject(modelGroup, true)) {
+        // The raycaster ignores visibility, so skip hidden parts and meshes
+        let model = hit.object;
+        let visible = model.visible;
+        while (model.parent && model.parent !== modelGroup) {
+            model = model.parent;
+            visible = visible && model.visible;
+        }
+        // Nor the parts of clipped models cut away by the section plane
+        const clippedAway = isPartClipped(model.userData) && sectionPlane.distanceToPoint(hit.point) < 0;
+        if (visible && model.visible && !clippedAway) {
+            return { model, hit };
+        }
+    }
+    return null;
+}
+
+function setupOutliner() {
+    document.getElementById('btn-outliner').addEventListener('click', () => {
+        setOutlinerOpen(!document.getElementById('outliner-panel').classList.contains('visible'));
+    });
+    document.getElementById('outliner-show-all').addEventListener('click', showAllParts);
     
-    for (const [categoryId, category] of Object.entries(partsManifest.parts)) {
-        // Skip extruder adapters for extruders/hotends that don't use them
-        if (skipExtruderAdapter && categoryId === 'extruderAdapters') {
-            continue;
+    const listEl = document.getElementById('outliner-list');
+    listEl.addEventListener('click', (e) => {
+        const entry = e.target.closest('.outliner-entry');
+        if (!entry || e.target.matches('.outliner-opacity')) return;
+        
+        const partId = entry.dataset.partId;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'visibility') {
+            setPartDisplay(partId, { hidden: isPartShown(partId) });
+            updatePartDisplay();
+        } else if (action === 'isolate') {
+            toggleIsolate(partId);
+        } else {
+            selectPart(state.selectedPartId === partId ? null : partId);
+        }
+    });
+    listEl.addEventListener('input', (e) => {
+        if (!e.target.matches('.outliner-opacity')) return;
+        
+        const partId = e.target.closest('.outliner-entry').dataset.partId;
+        const opacity = e.target.value / 100;
+        setPartDisplay(partId, { opacity });
+        e.target.title = `Opacity ${e.target.value}%`;
+        
+        for (const activeModels of [state.activeModels, state.compare.activeModels]) {
+            const model = activeModels.get(partId);
+            if (model) setModelOpacity(model, opacity);
+        }
+    });
+    
+    // Click (without dragging) on the canvas selects the part under the pointer
+    const canvas = renderer.domElement;
+    let pressedAt = null;
+    canvas.addEventListener('pointerdown', (e) => {
+        pressedAt = { x: e.clientX, y: e.clientY };
+    });
+    canvas.addEventListener('pointerup', (e) => {
+        if (!pressedAt) return;
+        const moved = Math.hypot(e.clientX - pressedAt.x, e.clientY - pressedAt.y);
+        pressedAt = null;
+        if (moved > CLICK_TOLERANCE_PX || isSectionGizmoActive()) return;
+        
+        if (state.measure.enabled) {
+            addMeasurePoint(e);
+            return;
+        }
+        
+        const model = pickPart(e);
+        selectPart(model ? model.userData.id : null);
+        if (model) {
+            revealInPartsList(model.userData.id);
         }
+    });
+}
+
+// ============================================
+// Part Hover (3D view <-> parts list)
+// ============================================
+
+// How long a parts list entry stays highlighted after clicking its part
+const REVEAL_FLASH_MS = 1500;
+
+/**
+ * Highlight a part in the scene (null to clear)
+ */
+function setHoveredPart(partId) {
+    if (partId === state.hoveredPartId) return;
+    
+    const previous = state.hoveredPartId;
+    state.hoveredPartId = partId;
+    for (const id of [previous, partId]) {
+        for (const activeModels of [state.activeModels, state.compare.activeModels]) {
+            const model = id && activeModels.get(id);
+            if (model) applyPartDisplay(model);
+        }
+    }
+}
+
+function showPartTooltip(part, event) {
+    const tooltip = document.getElementById('part-tooltip');
+    const rect = tooltip.parentElement.getBoundingClientRect();
+    
+    tooltip.innerHTML = `
+        <span class="part-tooltip-category">${part.categoryLabel}</span>
+        <span class="part-tooltip-file">${part.file.split('/').pop()}</span>
+    `;
+    tooltip.style.left = `${event.clientX - rect.left + 12}px`;
+    tooltip.style.top = `${event.clientY - rect.top + 12}px`;
+    tooltip.classList.add('visible');
+}
+
+function hidePartTooltip() {
+    document.getElementById('part-tooltip').classList.remove('visible');
+}
+
+/**
+ * Scroll the parts list to a part's file and flash it
+ * Parts downloaded from elsewhere or as separate files (reference models,
+ * carriages, the WW-BMG assembly) have no entry.
+ */
+function revealInPartsList(partId) {
+    const entry = document.querySelector(`.part-file-entry[data-part-id="${partId}"]`);
+    if (!entry) return;
+    
+    entry.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    entry.classList.remove('revealed');
+    void entry.offsetWidth;  // Restart the flash animation
+    entry.classList.add('revealed');
+    setTimeout(() => entry.classList.remove('revealed'), REVEAL_FLASH_MS);
+}
+
+function setupPartHover() {
+    const canvas = renderer.domElement;
+    let hoverEvent = null;
+    
+    // Raycast at most once per frame while the pointer moves
+    canvas.addEventListener('pointermove', (e) => {
+        const pending = hoverEvent !== null;
+        hoverEvent = e;
+        if (pending) return;
         
-        for (const [partId, partData] of Object.entries(category.variants)) {
-            const matches = partMatchesConfig(partData, config);
-            if (matches) {
-                matching.push({
-                    id: partId,
-                    category: categoryId,
-                    categoryLabel: category.category,
-                    ...partData
-                });
+        requestAnimationFrame(() => {
+            const event = hoverEvent;
+            hoverEvent = null;
+            
+            // Measure mode shows the snapped point instead
+            if (state.measure.enabled) {
+                updateMeasureCursor(event.buttons === 0 && !isSectionGizmoActive() ? event : null);
+                return;
             }
+            
+            // No highlight while orbiting/panning or over the section gizmo
+            const model = event.buttons === 0 && !isSectionGizmoActive() ? pickPart(event) : null;
+            setHoveredPart(model ? model.userData.id : null);
+            canvas.style.cursor = model ? 'pointer' : '';
+            if (model) {
+                showPartTooltip(model.userData, event);
+            } else {
+                hidePartTooltip();
+            }
+        });
+    });
+    canvas.addEventListener('pointerleave', () => {
+        hoverEvent = null;
+        setHoveredPart(null);
+        hidePartTooltip();
+        updateMeasureCursor(null);
+    });
+    
+    // Hovering a file in the parts list highlights its part
+    const listEl = document.getElementById('parts-list');
+    listEl.addEventListener('mouseover', (e) => {
+        const entry = e.target.closest('.part-file-entry');
+        setHoveredPart(entry ? entry.dataset.partId : null);
+    });
+    listEl.addEventListener('mouseleave', () => setHoveredPart(null));
+}
+
+// ============================================
+// Section View (clipping plane, see sectionView.js)
+// ============================================
+
+const sectionPlane = new THREE.Plane();
+let sectionCaps = [];  // Caps groups of the main and reference scenes
+let sectionHandle, sectionGizmo, sectionHelper;
+
+// Size of the plane outline drawn at the cut (mm)
+const SECTION_HELPER_SIZE = 120;
+
+function isPartClipped(part) {
+    const section = state.section;
+    return section.enabled && (!section.onlySelected || section.categories.has(part.category));
+}
+
+function isSectionGizmoActive() {
+    return state.section.enabled && sectionGizmo.axis !== null;
+}
+
+/**
+ * Draggable handle that moves the plane along its axis
+ */
+function setupSectionGizmo() {
+    sectionHandle = new THREE.Object3D();
+    helperScene.add(sectionHandle);
+    
+    sectionGizmo = new TransformControls(camera, renderer.domElement);
+    sectionGizmo.setMode('translate');
+    sectionGizmo.setSize(0.75);
+    sectionGizmo.attach(sectionHandle);
+    sectionGizmo.enabled = false;
+    sectionGizmo.visible = false;
+    helperScene.add(sectionGizmo);
+    
+    sectionHelper = new THREE.PlaneHelper(sectionPlane, SECTION_HELPER_SIZE, 0x4a6fa5);
+    helperScene.add(sectionHelper);
+    
+    // Orbiting would fight the drag
+    sectionGizmo.addEventListener('dragging-changed', (e) => {
+        controls.enabled = !e.value;
+    });
+    sectionGizmo.addEventListener('objectChange', () => {
+        state.section.position = sectionHandle.position[state.section.axis];
+        updateSectionPlane();
+    });
+}
+
+function updateSectionPlane() {
+    const { axis, position, flipped } = state.section;
+    setSectionPlane(sectionPlane, axis, position, flipped);
+    document.getElementById('section-position').textContent = `${position.toFixed(1)} mm`;
+}
+
+/**
+ * Rebuild the caps for the current models, plane settings and colors
+ */
+function refreshSectionCaps() {
+    sectionCaps.forEach(disposeSectionCaps);
+    sectionCaps = [];
+    if (!state.section.enabled) return;
+    
+    for (const [group, targetScene] of [[modelGroup, scene], [compareGroup, compareScene]]) {
+        const caps = buildSectionCaps(group, sectionPlane,
+            model => isPartClipped(model.userData),
+            model => getPartColor(model.userData));
+        targetScene.add(caps);
+        sectionCaps.push(caps);
+    }
+}
+
+/**
+ * Apply a change of the section settings to the models, caps and panel
+ */
+function updateSection() {
+    updateSectionPlane();
+    
+    state.activeModels.forEach(applyPartDisplay);
+    state.compare.activeModels.forEach(applyPartDisplay);
+    refreshSectionCaps();
+    renderSectionPanel();
+}
+
+/**
+ * Put the plane through the middle of the assembly along an axis
+ */
+function setSectionAxis(axis) {
+    const center = new THREE.Box3().setFromObject(modelGroup).getCenter(new THREE.Vector3());
+    
+    state.section.axis = axis;
+    state.section.position = center[axis];
+    sectionHandle.position.copy(center);
+    sectionGizmo.showX = axis === 'x';
+    sectionGizmo.showY = axis === 'y';
+    sectionGizmo.showZ = axis === 'z';
+    updateSection();
+}
+
+function setSectionEnabled(enabled) {
+    state.section.enabled = enabled;
+    sectionGizmo.enabled = enabled;
+    sectionGizmo.visible = enabled;
+    sectionHelper.visible = enabled;
+    document.getElementById('btn-section').classList.toggle('active', enabled);
+    document.getElementById('section-panel').classList.toggle('visible', enabled);
+    
+    if (enabled) {
+        setSectionAxis(state.section.axis);
+    } else {
+        updateSection();
+    }
+}
+
+function renderSectionPanel() {
+    const section = state.section;
+    document.querySelectorAll('#section-panel [data-axis]').forEach((button) => {
+        button.classList.toggle('active', button.dataset.axis === section.axis);
+    });
+    document.getElementById('section-flip-btn').classList.toggle('active', section.flipped);
+    document.getElementById('section-only-selected').checked = section.onlySelected;
+    
+    // Categories of the current models
+    const listEl = document.getElementById('section-categories');
+    listEl.innerHTML = '';
+    listEl.classList.toggle('disabled', !section.onlySelected);
+    const categoryIds = new Set([...state.activeModels.values()].map(model => model.userData.category));
+    for (const categoryId of Object.keys(partsManifest.parts)) {
+        if (!categoryIds.has(categoryId)) continue;
+        
+        const label = document.createElement('label');
+        label.className = 'export-option';
+        label.innerHTML = `
+            <input type="checkbox" value="${categoryId}"${section.categories.has(categoryId) ? ' checked' : ''}${section.onlySelected ? '' : ' disabled'}>
+            ${partsManifest.parts[categoryId].category}
+        `;
+        listEl.appendChild(label);
+    }
+}
+
+function setupSectionPanel() {
+    document.getElementById('btn-section').addEventListener('click', () => {
+        setSectionEnabled(!state.section.enabled);
+    });
+    document.querySelectorAll('#section-panel [data-axis]').forEach((button) => {
+        button.addEventListener('click', () => setSectionAxis(button.dataset.axis));
+    });
+    document.getElementById('section-flip-btn').addEventListener('click', () => {
+        state.section.flipped = !state.section.flipped;
+        updateSection();
+    });
+    document.getElementById('section-only-selected').addEventListener('change', (e) => {
+        state.section.onlySelected = e.target.checked;
+        updateSection();
+    });
+    document.getElementById('section-categories').addEventListener('change', (e) => {
+        const categories = state.section.categories;
+        if (e.target.checked) {
+            categories.add(e.target.value);
+        } else {
+            categories.delete(e.target.value);
         }
+        updateSection();
+    });
+}
+
+// ============================================
+// Measure Tool (see measurements.js)
+// ============================================
+
+// Pointer distance (px) within which picked points snap to vertices and edges
+const MEASURE_SNAP_PX = 10;
+const MEASURE_POINT_RADIUS = 0.6;  // mm
+const MEASURE_COLORS = {
+    vertex: 0x4caf50,
+    edge: 0xe0a030,
+    surface: 0xffffff,
+    line: 0xffd54f
+};
+
+let measureGroup;    // Lines and end points of the measurements
+let measureCursor;   // Snapped point under the pointer
+let measurePreview;  // Line from the first point to the pointer
+
+/**
+ * Measurement markers draw on top of the parts so points behind them stay visible
+ */
+function createMeasurePoint(position, color) {
+    const point = new THREE.Mesh(
+        new THREE.SphereGeometry(MEASURE_POINT_RADIUS, 12, 8),
+        new THREE.MeshBasicMaterial({ color, depthTest: false })
+    );
+    point.position.fromArray(position);
+    point.renderOrder = 1;
+    return point;
+}
+
+function createMeasureLine(from, to) {
+    const geometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3().fromArray(from),
+        new THREE.Vector3().fromArray(to)
+    ]);
+    return new THREE.Line(geometry, new THREE.LineBasicMaterial({ color: MEASURE_COLORS.line, depthTest: false }));
+}
+
+function setupMeasureObjects() {
+    measureGroup = new THREE.Group();
+    measureCursor = createMeasurePoint([0, 0, 0], MEASURE_COLORS.surface);
+    measureCursor.visible = false;
+    measurePreview = createMeasureLine([0, 0, 0], [0, 0, 0]);
+    measurePreview.visible = false;
+    helperScene.add(measureGroup, measureCursor, measurePreview);
+}
+
+/**
+ * Point to measure from under a pointer event, snapped to the picked triangle
+ * @returns {{point: number[], snap: string}|null}
+ */
+function getMeasurePoint(event) {
+    const result = raycastParts(event);
+    if (!result) return null;
+    
+    const { hit } = result;
+    const position = hit.object.geometry.getAttribute('position');
+    const triangle = [hit.face.a, hit.face.b, hit.face.c].map(index =>
+        new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(hit.object.matrixWorld).toArray());
+    
+    const rect = getViewportRect();
+    const project = (point) => {
+        const ndc = new THREE.Vector3().fromArray(point).project(camera);
+        return [(ndc.x + 1) / 2 * rect.width, (1 - ndc.y) / 2 * rect.height];
+    };
+    const pointer = [event.clientX - rect.left, event.clientY - rect.top];
+    
+    return snapPoint({ pointer, point: hit.point.toArray(), triangle }, project, MEASURE_SNAP_PX);
+}
+
+/**
+ * Show where a click would measure from (null to hide)
+ */
+function updateMeasureCursor(event) {
+    const picked = event ? getMeasurePoint(event) : null;
+    
+    measureCursor.visible = picked !== null;
+    measurePreview.visible = picked !== null && state.measure.pending !== null;
+    renderer.domElement.style.cursor = state.measure.enabled ? 'crosshair' : '';
+    if (!picked) return;
+    
+    measureCursor.position.fromArray(picked.point);
+    measureCursor.material.color.setHex(MEASURE_COLORS[picked.snap]);
+    if (measurePreview.visible) {
+        measurePreview.geometry.setFromPoints([
+            new THREE.Vector3().fromArray(state.measure.pending),
+            measureCursor.position
+        ]);
     }
+}
+
+function addMeasurePoint(event) {
+    const picked = getMeasurePoint(event);
+    if (!picked) return;
     
-    return matching;
+    const measure = state.measure;
+    if (measure.pending) {
+        measure.items.push({ id: measure.nextId++, from: measure.pending, to: picked.point });
+        measure.pending = null;
+    } else {
+        measure.pending = picked.point;
+    }
+    measurePreview.visible = false;
+    renderMeasurements();
+}
+
+function removeMeasurement(id) {
+    state.measure.items = state.measure.items.filter(item => item.id !== id);
+    renderMeasurements();
+}
+
+function clearMeasurements() {
+    state.measure.items = [];
+    state.measure.pending = null;
+    renderMeasurements();
 }
 
 /**
- * Get STL-only parts that match the current configuration (not rendered, just for download)
+ * Redraw the measurements in the scene, their labels and the panel list
  */
-function getMatchingStlOnlyParts(config) {
-    const matching = [];
+function renderMeasurements() {
+    const measure = state.measure;
     
-    if (!partsManifest.stlOnlyParts) return matching;
+    measureGroup.children.forEach((child) => {
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+    measureGroup.clear();
+    for (const item of measure.items) {
+        measureGroup.add(
+            createMeasureLine(item.from, item.to),
+            createMeasurePoint(item.from, MEASURE_COLORS.line),
+            createMeasurePoint(item.to, MEASURE_COLORS.line)
+        );
+    }
+    if (measure.pending) {
+        measureGroup.add(createMeasurePoint(measure.pending, MEASURE_COLORS.line));
+    }
     
-    for (const [categoryId, category] of Object.entries(partsManifest.stlOnlyParts)) {
-        for (const [partId, partData] of Object.entries(category.variants)) {
-            if (partMatchesConfig(partData, config)) {
-                matching.push({
-                    id: partId,
-                    category: categoryId,
-                    categoryLabel: category.category,
-                    ...partData
-                });
-            }
+    // Distance labels in the viewer (positioned every frame, see updateMeasureLabels)
+    const labelsEl = document.getElementById('measure-labels');
+    labelsEl.innerHTML = '';
+    const listEl = document.getElementById('measure-list');
+    listEl.innerHTML = '';
+    for (const item of measure.items) {
+        const { distance, delta } = measureDistance(item.from, item.to);
+        
+        const label = document.createElement('span');
+        label.className = 'measure-label';
+        label.textContent = `#${item.id} ${formatMm(distance)}`;
+        labelsEl.appendChild(label);
+        
+        const li = document.createElement('li');
+        li.className = 'measure-item';
+        li.innerHTML = `
+            <div class="measure-item-header">
+                <span>#${item.id} <strong>${formatMm(distance, 2)}</strong></span>
+                <button class="measure-remove" data-id="${item.id}" title="Remove">×</button>
+            </div>
+            <div class="measure-deltas">
+                <span>X ${formatMm(delta[0], 2)}</span>
+                <span>Y ${formatMm(delta[1], 2)}</span>
+                <span>Z ${formatMm(delta[2], 2)}</span>
+            </div>
+        `;
+        listEl.appendChild(li);
+    }
+    
+    document.getElementById('measure-hint').textContent = measure.pending
+        ? 'Click the second point (Esc to cancel).'
+        : 'Click two points on the parts. Points snap to vertices (green) and edges (orange).';
+    document.getElementById('measure-clear-btn').disabled = measure.items.length === 0 && !measure.pending;
+    updateMeasurePanel();
+}
+
+/**
+ * Keep the distance labels at the middle of their lines
+ */
+function updateMeasureLabels() {
+    const labels = document.getElementById('measure-labels').children;
+    if (labels.length === 0) return;
+    
+    const container = document.getElementById('viewer-3d');
+    const offset = state.compare.enabled ? container.clientWidth / 2 : 0;
+    const width = container.clientWidth - offset;
+    const height = container.clientHeight;
+    const middle = new THREE.Vector3();
+    
+    state.measure.items.forEach((item, i) => {
+        middle.fromArray(item.from).add(new THREE.Vector3().fromArray(item.to)).multiplyScalar(0.5).project(camera);
+        
+        // Behind the camera
+        labels[i].hidden = middle.z > 1;
+        labels[i].style.left = `${offset + (middle.x + 1) / 2 * width}px`;
+        labels[i].style.top = `${(1 - middle.y) / 2 * height}px`;
+    });
+}
+
+/**
+ * The panel stays open while there are measurements, so they can be cleared
+ */
+function updateMeasurePanel() {
+    const measure = state.measure;
+    const visible = measure.enabled || measure.items.length > 0 || measure.pending !== null;
+    document.getElementById('measure-panel').classList.toggle('visible', visible);
+}
+
+function setMeasureEnabled(enabled) {
+    state.measure.enabled = enabled;
+    document.getElementById('btn-measure').classList.toggle('active', enabled);
+    
+    if (enabled) {
+        // Measuring replaces part hover and selection on the canvas
+        setHoveredPart(null);
+        hidePartTooltip();
+    } else {
+        state.measure.pending = null;
+        updateMeasureCursor(null);
+    }
+    renderMeasurements();
+}
+
+function setupMeasurePanel() {
+    document.getElementById('btn-measure').addEventListener('click', () => {
+        setMeasureEnabled(!state.measure.enabled);
+    });
+    document.getElementById('measure-clear-btn').addEventListener('click', clearMeasurements);
+    document.getElementById('measure-list').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-id]');
+        if (button) {
+            removeMeasurement(Number(button.dataset.id));
+        }
+    });
+    
+    // Escape drops the first point of an unfinished measurement
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && state.measure.pending) {
+            state.measure.pending = null;
+            measurePreview.visible = false;
+            renderMeasurements();
+        }
+    });
+}
+
+// ============================================
+// Dimensions (nozzle offset and bounding box, see measurements.js)
+// ============================================
+
+// Vertices this close (mm) to the lowest point of a hotend model count as its nozzle tip
+const NOZZLE_TIP_TOLERANCE = 0.05;
+
+/**
+ * Visit the meshes of a part model at its assembled position
+ * Hidden sub-meshes (hex cowl supports) are skipped; the model itself may be
+ * hidden by the outliner or moved by the exploded view.
+ * @param {Function} callback - (mesh, offset) => void; offset moves the mesh's world position to the assembled one
+ */
+function forEachAssembledMesh(model, callback) {
+    const offset = new THREE.Vector3();
+    if (model.userData.assembledPosition) {
+        offset.subVectors(model.userData.assembledPosition, model.position);
+    }
+    model.updateWorldMatrix(true, true);
+    
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+        for (let o = child; o !== model; o = o.parent) {
+            if (!o.visible) return;
         }
+        callback(child, offset);
+    });
+}
+
+/**
+ * Bounding box of the assembled parts in the viewer (mm)
+ * @returns {{min: number[], max: number[]}|null} null before any model has loaded
+ */
+function getAssemblyBox() {
+    const box = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+    for (const model of modelGroup.children) {
+        forEachAssembledMesh(model, (mesh, offset) => {
+            box.union(meshBox.makeEmpty().expandByObject(mesh, true).translate(offset));
+        });
     }
+    return box.isEmpty() ? null : { min: box.min.toArray(), max: box.max.toArray() };
+}
+
+/**
+ * Nozzle tip of the loaded hotend model: the middle of its lowest vertices
+ * Used when the hotend has no `nozzleTip` in the manifest.
+ * @returns {number[]|null}
+ */
+function findNozzleTip() {
+    const hotend = modelGroup.children.find(model => model.userData.category === 'hotends');
+    if (!hotend) return null;
+    
+    const vertex = new THREE.Vector3();
+    const forEachVertex = (callback) => forEachAssembledMesh(hotend, (mesh, offset) => {
+        const position = mesh.geometry.getAttribute('position');
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld).add(offset);
+            callback(vertex.x, vertex.y, vertex.z);
+        }
+    });
+    return findLowestCenter(forEachVertex, NOZZLE_TIP_TOLERANCE);
+}
+
+/**
+ * Recompute the dimensions of the current configuration from the loaded models
+ */
+function updateDimensions() {
+    const points = getReferencePoints(state.config);
+    const estimated = !points.nozzleTip;
+    if (estimated) {
+        points.nozzleTip = findNozzleTip();
+    }
+    
+    state.dimensions = {
+        ...getToolheadDimensions(points, getAssemblyBox()),
+        estimated  // Nozzle tip taken from the hotend model, not the manifest
+    };
+    renderDimensions();
+}
+
+/**
+ * Dimensions for share links and exports (null until the models have loaded)
+ * @returns {{nozzleOffset: number[]|null, probeOffset: number[]|null, envelope: Object|null}|null}
+ */
+function getExportDimensions() {
+    if (!state.dimensions) return null;
     
-    return matching;
+    const { nozzleOffset, probeOffset, envelope } = state.dimensions;
+    return { nozzleOffset, probeOffset, envelope };
+}
+
+function formatDimensionRow(label, vector) {
+    const values = vector
+        ? ['X', 'Y', 'Z'].map((axis, i) => `<span>${axis} ${formatMm(vector[i])}</span>`).join('')
+        : '<span>Unknown</span>';
+    return `
+        <div class="dimension-row">
+            <span class="dimension-label">${label}</span>
+            <div class="dimension-values">${values}</div>
+        </div>
+    `;
 }
 
 /**
- * Check compatibility and return warnings
+ * Show the dimensions in the sidebar
  */
-function checkCompatibility(config) {
-    const warnings = [];
+function renderDimensions() {
+    const panelEl = document.getElementById('dimensions-panel');
+    const dimensions = state.dimensions;
+    if (!dimensions) {
+        panelEl.innerHTML = '<p class="dimensions-note">Waiting for the 3D models...</p>';
+        return;
+    }
     
-    // Check specific compatibility rules
-    const extruderRule = partsManifest.compatibility[config.extruder];
-    if (extruderRule?.incompatibleWith) {
-        for (const [key, values] of Object.entries(extruderRule.incompatibleWith)) {
-            if (values.includes(config[key])) {
-                warnings.push(extruderRule.warningMessage);
-            }
+    let html = formatDimensionRow('Nozzle offset (from carriage origin)', dimensions.nozzleOffset);
+    if (dimensions.probeOffset) {
+        html += formatDimensionRow('Probe offset (from nozzle)', dimensions.probeOffset);
+    }
+    html += formatDimensionRow('Bounding box size', dimensions.envelope?.size);
+    
+    if (!dimensions.nozzleOffset) {
+        html += '<p class="dimensions-note">Nozzle offset unknown: the carriage has no origin in the manifest, or the hotend model has not loaded.</p>';
+    } else if (dimensions.estimated) {
+        html += '<p class="dimensions-note">Nozzle tip estimated from the hotend model.</p>';
+    }
+    
+    // A shared link lists the offset it was made with; point out when the parts have changed since
+    const shared = state.sharedDimensions;
+    if (shared?.nozzleOffset && dimensions.nozzleOffset && shared.config === JSON.stringify(state.config)) {
+        const changed = shared.nozzleOffset.some((value, i) => Math.abs(value - dimensions.nozzleOffset[i]) > 0.05);
+        if (changed) {
+            const listed = ['X', 'Y', 'Z'].map((axis, i) => `${axis} ${formatMm(shared.nozzleOffset[i])}`).join(', ');
+            html += `<p class="dimensions-note">The shared link listed a nozzle offset of ${listed}; the parts have changed since.</p>`;
         }
     }
     
-    return warnings;
+    panelEl.innerHTML = html;
 }
 
 // ============================================
@@ -716,39 +2295,35 @@ function checkCompatibility(config) {
 // ============================================
 
 /**
- * Update disabled state of options based on compatibility rules
+ * Show section notes whose showIf condition matches the configuration
  */
-function updateToolheadBoardNote(config) {
-    const tapNote = document.getElementById('toolhead-note-tap');
-    const xolNote = document.getElementById('toolhead-note-xol');
-    
-    if (config.carriage === 'xol-carriage') {
-        tapNote.style.display = 'none';
-        xolNote.style.display = 'block';
-    } else {
-        tapNote.style.display = 'block';
-        xolNote.style.display = 'none';
+function updateSectionNotes(config) {
+    for (const section of partsManifest.configSections) {
+        for (const note of section.notes || []) {
+            if (!note.showIf) continue;
+            
+            const noteEl = document.getElementById(note.id);
+            if (noteEl) {
+                const isVisible = Object.entries(note.showIf).every(([key, value]) => config[key] === value);
+                noteEl.style.display = isVisible ? 'block' : 'none';
+            }
+        }
     }
 }
 
-function updateDisabledOptions(config) {
-    // Update the toolhead board section note based on carriage
-    updateToolheadBoardNote(config);
-    
-    // Define incompatibility rules
-    const uhfHotends = ['dragon-uhf', 'dragon-ace-mze', 'dragon-ace-volcano-mze', 'rapido-uhf'];
-    const isUHF = uhfHotends.includes(config.hotend);
-    const isCrossbow = config.filamentCutter === 'crossbow';
-    const isSherpaMini = config.extruder === 'sherpa-mini';
-    
-    // Show/hide UHF crossbow incompatibility notes
-    const uhfCrossbowNote = document.getElementById('uhf-crossbow-note');
-    if (uhfCrossbowNote) {
-        uhfCrossbowNote.style.display = isCrossbow ? 'block' : 'none';
-    }
-    const crossbowUhfNote = document.getElementById('crossbow-uhf-note');
-    if (crossbowUhfNote) {
-        crossbowUhfNote.style.display = isUHF ? 'block' : 'none';
+/**
+ * Update disabled state of options based on the manifest compatibility rules
+ */
+function updateDisabledOptions(config, constraints) {
+    // Update carriage-dependent section notes (e.g. toolhead board mounts)
+    updateSectionNotes(config);
+    
+    // Show only the notes explaining currently disabled options
+    for (const noteId of getConstraintNoteIds()) {
+        const note = document.getElementById(noteId);
+        if (note) {
+            note.style.display = constraints.notes.includes(noteId) ? 'block' : 'none';
+        }
     }
     
     // Get all option inputs
@@ -756,79 +2331,11 @@ function updateDisabledOptions(config) {
     
     allInputs.forEach(input => {
         const label = input.closest('.option');
-        const inputName = input.name;
-        const inputValue = input.value;
-        
-        let shouldDisable = false;
-        let reason = '';
-        
-        // Rule 1: Sherpa-mini is disabled if crossbow is selected or UHF hotend is selected
-        if (inputName === 'extruder' && inputValue === 'sherpa-mini') {
-            if (isCrossbow) {
-                shouldDisable = true;
-                reason = 'Not compatible with Crossbow cutter';
-            } else if (isUHF) {
-                shouldDisable = true;
-                reason = 'Not compatible with UHF hotends';
-            }
-        }
-        
-        // Rule 2: LGX-Lite and VZ-Hextrudort are disabled if UHF hotend is selected
-        if (inputName === 'extruder' && (inputValue === 'lgx-lite' || inputValue === 'vz-hextrudort')) {
-            if (isUHF) {
-                shouldDisable = true;
-                reason = 'Not compatible with UHF hotends';
-            }
-        }
-        
-        // Rule 3: Crossbow is disabled if sherpa-mini is selected or UHF hotend is selected
-        if (inputName === 'filament-cutter' && inputValue === 'crossbow') {
-            if (isSherpaMini) {
-                shouldDisable = true;
-                reason = 'Not compatible with Sherpa Mini';
-            } else if (isUHF) {
-                shouldDisable = true;
-                reason = 'Not compatible with UHF hotends';
-            }
-        }
-        
-        // Rule 4: UHF hotends are disabled if crossbow is selected
-        if (inputName === 'hotend' && uhfHotends.includes(inputValue)) {
-            if (isCrossbow) {
-                shouldDisable = true;
-                reason = 'Not compatible with Crossbow cutter';
-            }
-        }
-        
-        // Rule 5: Toolhead board compatibility based on extruder (Xol Carriage only)
-        // Board mount availability matrix:
-        // - ebb36-sht36v2: wwbmg, wwg2, sherpa-mini, lgx-lite, vz-hextrudort
-        // - h36: wwbmg only
-        // - nh36: wwbmg only
-        // - sht36v3: wwbmg only
-        // - xol-pcb: wwbmg, orbiter
-        if (inputName === 'toolhead-board' && inputValue !== 'none') {
-            const extruder = config.extruder;
-            const boardCompatibility = {
-                'ebb36-sht36v2': ['wwbmg', 'wwg2', 'sherpa-mini', 'lgx-lite', 'vz-hextrudort'],
-                'h36': ['wwbmg'],
-                'nh36': ['wwbmg', 'orbiter'],
-                'sht36v3': ['wwbmg'],
-                'xol-pcb': ['wwbmg', 'orbiter']
-            };
-            
-            // Also disable all toolhead boards if not using Xol Carriage
-            if (config.carriage !== 'xol-carriage') {
-                shouldDisable = true;
-                reason = 'Only available with Xol Carriage';
-            } else if (boardCompatibility[inputValue] && !boardCompatibility[inputValue].includes(extruder)) {
-                shouldDisable = true;
-                reason = `No mount available for ${extruder} extruder`;
-            }
-        }
+        const configKey = toConfigKey(input.name);
+        const reason = constraints.disabled[configKey]?.[input.value];
         
         // Apply disabled state
-        if (shouldDisable) {
+        if (reason) {
             label.classList.add('disabled');
             input.disabled = true;
             label.title = reason;
@@ -844,161 +2351,40 @@ async function updateViewer() {
     const config = state.config;
     
     // Update which options are disabled based on current selection
-    updateDisabledOptions(config);
-    
-    const matchingParts = getMatchingParts(config);
-    const newPartIds = new Set(matchingParts.map(p => p.id));
-    const currentPartIds = new Set(state.activeModels.keys());
-    
-    // Find parts to remove (in current but not in new)
-    const toRemoveSet = new Set([...currentPartIds].filter(id => !newPartIds.has(id)));
-    
-    // Find parts to add (in new but not in current)
-    const toAddSet = new Set(matchingParts.filter(p => !currentPartIds.has(p.id)).map(p => p.id));
-    
-    // Check if any existing cowlings need to be reloaded due to hexCowl change
-    for (const [partId, model] of state.activeModels) {
-        const part = model.userData;
-        if (part && part.category === 'cowlings') {
-            const currentIsHex = part.isHexCowl || false;
-            const shouldBeHex = config.hexCowl;
-            if (currentIsHex !== shouldBeHex) {
-                // Cowling hex state changed - need to reload
-                toRemoveSet.add(partId);
-                toAddSet.add(partId);
-            }
-        }
-    }
-    
-    // Convert sets back to arrays, getting full part data for toAdd
-    const toRemove = [...toRemoveSet];
-    const toAdd = matchingParts.filter(p => toAddSet.has(p.id));
+    const constraints = evaluateConstraints(config);
+    updateDisabledOptions(config, constraints);
     
     // Update parts list UI immediately (before loading models)
-    const stlOnlyParts = getMatchingStlOnlyParts(config);
-    updatePartsList(matchingParts, stlOnlyParts, config);
+    updatePartsList(getPrintableParts(config));
+    updateHardwareList(getHardwareBom(config));
     
     // Update warnings
-    const warnings = checkCompatibility(config);
-    updateWarnings(warnings);
-    
-    // Only show loading if we need to load new models (not cached)
-    const needsLoading = toAdd.some(part => {
-        // Check for hex cowling path
-        let filePath;
-        if (config.hexCowl && part.category === 'cowlings') {
-            const parts = part.file.split('/');
-            const fileName = parts.pop();
-            parts.push('Hex ' + fileName);
-            filePath = partsManifest.basePath + parts.join('/') + '.' + partsManifest.fileExtension;
-        } else {
-            filePath = partsManifest.basePath + part.file + '.' + partsManifest.fileExtension;
-        }
-        return !state.loadedModels.has(filePath);
-    });
+    updateWarnings(constraints.warnings);
     
-    if (needsLoading) {
-        document.getElementById('loading').classList.remove('hidden');
-    }
+    // Update the comparison with the reference configuration (compare mode)
+    updateCompareDiff();
     
-    // Remove parts that are no longer needed
-    for (const partId of toRemove) {
-        const model = state.activeModels.get(partId);
-        if (model) {
-            modelGroup.remove(model);
-            state.activeModels.delete(partId);
-        }
-    }
+    // Dimensions follow the models
+    state.dimensions = null;
+    renderDimensions();
     
-    // Add new parts
-    for (const part of toAdd) {
-        try {
-            // Safety check: ensure we don't add duplicates
-            if (state.activeModels.has(part.id)) {
-                continue;
-            }
-            
-            // Determine if this is a hex cowling
-            const isHexCowl = config.hexCowl && part.category === 'cowlings';
-            
-            const model = await loadModel(part.id, part, isHexCowl);
-            
-            // Skip if model failed to load
-            if (!model) {
-                continue;
-            }
-            
-            applyTransform(model, part.transform);
-            
-            // Apply material color - use custom colors for main/accent parts
-            let color, opacity = 1.0;
-            
-            // Crossbow assembly - matches carriage (check first, before category)
-            if (part.id === 'crossbow-assembly') {
-                color = 0x888888;
-                opacity = 0.6;
-            // Cowlings use main color (customizable)
-            } else if (part.category === 'cowlings') {
-                color = state.mainColor;
-            // Hotend ducts are slightly darker for contrast
-            } else if (part.category === 'hotendDucts') {
-                color = darkenColor(state.mainColor, 0.2);
-            // Parts that use accent color (customizable)
-            } else if (part.category === 'extruderAdapters' || part.category === 'boardMounts') {
-                color = state.accentColor;
-            // WW-BMG uses main color as base, sub-parts handled in applyMaterial
-            } else if (part.category === 'wwbmg') {
-                color = state.mainColor;
-            // Fixed colors for other categories
-            } else if (part.category === 'carriages' || part.category === 'hotends' || part.category === 'extruders') {
-                color = 0x888888;
-                opacity = 0.6;
-            } else if (part.category === 'hotendSpacers') {
-                color = 0xd94a4a;
-            } else if (part.category === 'ledHolders') {
-                color = 0xeeeeee;
-            } else {
-                color = 0x888888;
-            }
-            
-            applyMaterial(model, color, opacity, part.id, isHexCowl);
-            
-            // Add to scene
-            model.name = part.id;
-            model.userData = { ...part, isHexCowl };  // Store hex cowl state for color updates
-            modelGroup.add(model);
-            state.activeModels.set(part.id, model);
-            
-        } catch (error) {
-            console.warn(`Failed to load part ${part.id}:`, error);
-        }
-    }
+    await syncModels(modelGroup, state.activeModels, config);
+    updatePartDisplay();
+    updateDimensions();
     
     // Skip auto-centering on initial load (custom default view is set in initThreeJS)
     if (state.initialLoad) {
         state.initialLoad = false;
     }
-    
-    // Hide loading
-    document.getElementById('loading').classList.add('hidden');
 }
 
-function updatePartsList(parts, stlOnlyParts = [], config = {}) {
+function updatePartsList(printableParts) {
     const listEl = document.getElementById('parts-list');
     listEl.innerHTML = '';
     
-    // Combine both rendered parts and STL-only parts
-    // Exclude carriages (from other sources), wwbmg (STL files handled separately),
-    // hotendSpacers (included in the HE Duct STL, separate gltf for visualization only),
-    // visualOnly parts, and STL-only board mounts (we now have rendered versions)
-    const allParts = [...parts, ...stlOnlyParts].filter(p => 
-        p.category !== 'carriages' && p.category !== 'wwbmg' && p.category !== 'hotendSpacers' && 
-        p.category !== 'toolheadBoardMounts' && !p.visualOnly
-    );
-    
     // Group by category
     const byCategory = {};
-    for (const part of allParts) {
+    for (const part of printableParts) {
         if (!byCategory[part.categoryLabel]) {
             byCategory[part.categoryLabel] = [];
         }
@@ -1021,31 +2407,10 @@ function updatePartsList(parts, stlOnlyParts = [], config = {}) {
         for (const part of categoryParts) {
             const li = document.createElement('li');
             li.className = 'part-file-entry';
+            li.dataset.partId = part.id;  // Links the entry to its model (see setupPartHover)
             
-            // Build file path using same logic as downloadParts
-            let filePath;
-            let is3mf = false;
-            
-            if (part.stlFile) {
-                // STL-only parts
-                filePath = part.stlFile;
-            } else if (part.stlPath) {
-                // Parts with explicit stlPath
-                filePath = part.stlPath;
-            } else {
-                // Convert GLTF path to STL path
-                let baseName = part.file.replace('.glb', '');
-                filePath = baseName.endsWith('.stl') ? baseName : baseName + '.stl';
-            }
-            
-            // Transform cowling to hex 3MF if enabled (same logic as downloadParts)
-            if (config.hexCowl && part.category === 'cowlings') {
-                const fileName = filePath.split('/').pop();
-                const baseName = fileName.replace('.stl', '');
-                const hexFileName = 'Hex ' + baseName + '.3mf';
-                filePath = 'Cowlings [Hexagon multi-colour]/' + hexFileName;
-                is3mf = true;
-            }
+            // File path resolved by the same logic as downloadParts
+            const { path: filePath, is3mf } = part.printFile;
             
             // Build GitHub URL using same base URLs as downloadParts
             const baseUrl = is3mf ? GITHUB_3MF_BASE : GITHUB_STL_BASE;
@@ -1070,6 +2435,34 @@ function updatePartsList(parts, stlOnlyParts = [], config = {}) {
     }
 }
 
+/**
+ * Fill the Hardware table (non-printed parts, see hardwareBom.js), grouped like the parts list
+ */
+function updateHardwareList(bom) {
+    const tableEl = document.getElementById('hardware-list');
+    tableEl.innerHTML = '';
+    
+    let group = null;
+    for (const row of bom) {
+        if (row.group !== group) {
+            group = row.group;
+            const headerRow = tableEl.insertRow();
+            headerRow.className = 'hardware-group-header';
+            const headerCell = headerRow.insertCell();
+            headerCell.colSpan = 2;
+            headerCell.textContent = group;
+        }
+        
+        const tr = tableEl.insertRow();
+        tr.title = `Used by: ${row.usedBy.join(', ')}`;
+        const length = formatHardwareLength(row);
+        tr.insertCell().textContent = length ? `${row.label} (${length})` : row.label;
+        const qtyCell = tr.insertCell();
+        qtyCell.className = 'hardware-qty';
+        qtyCell.textContent = `x${row.quantity}`;
+    }
+}
+
 function updateWarnings(warnings) {
     const warningsEl = document.getElementById('warnings');
     
@@ -1096,6 +2489,170 @@ function centerCameraOnModels() {
     controls.update();
 }
 
+// ============================================
+// Compare Mode
+// ============================================
+
+// Reference source value for the snapshot (other values are saved build ids)
+const COMPARE_SNAPSHOT = 'snapshot';
+
+/**
+ * Turn compare mode on or off
+ * Turning it on snapshots the current configuration as the reference (left viewport).
+ */
+function setCompareMode(enabled) {
+    state.compare.enabled = enabled;
+    document.getElementById('btn-compare').classList.toggle('active', enabled);
+    document.getElementById('compare-overlay').classList.toggle('visible', enabled);
+    document.getElementById('compare-section').classList.toggle('visible', enabled);
+    
+    if (enabled) {
+        takeCompareSnapshot();
+    } else {
+        // Drop the reference models (loaded files stay cached)
+        compareGroup.clear();
+        state.compare.activeModels.clear();
+        state.compare.config = null;
+    }
+    
+    onWindowResize();
+}
+
+function takeCompareSnapshot() {
+    state.compare.snapshot = { ...state.config };
+    return setCompareReference(COMPARE_SNAPSHOT);
+}
+
+/**
+ * Load the models of the current reference configuration
+ * Loads are chained and each one syncs to the reference current when it starts, so
+ * switching references quickly never leaves another reference's models behind.
+ * @returns {Promise} Settles when the reference models are loaded (never rejects)
+ */
+function syncCompareModels() {
+    state.compare.loading = state.compare.loading
+        .then(async () => {
+            if (!state.compare.config) return;  // Compare mode was turned off meanwhile
+            
+            await syncModels(compareGroup, state.compare.activeModels, state.compare.config);
+            if (!state.compare.enabled) {
+                compareGroup.clear();
+                state.compare.activeModels.clear();
+            }
+        })
+        .catch(error => console.warn('Failed to load the comparison models:', error));
+    return state.compare.loading;
+}
+
+/**
+ * Compare against the snapshot or a saved build
+ * @param {string} source - COMPARE_SNAPSHOT or a saved build id
+ * @returns {Promise} Settles when the reference models are loaded (see syncCompareModels)
+ */
+async function setCompareReference(source) {
+    const build = savedBuilds.find(b => b.id === source);
+    if (build) {
+        // Builds may predate manifest changes - compare the repaired configuration
+        state.compare.config = validateLoadedState(build, getShareableState()).config;
+        state.compare.label = build.name;
+    } else {
+        state.compare.config = { ...state.compare.snapshot };
+        state.compare.label = 'Snapshot';
+    }
+    
+    document.getElementById('compare-with').value = build ? build.id : COMPARE_SNAPSHOT;
+    document.getElementById('compare-label-a').textContent = state.compare.label;
+    
+    updateCompareDiff();
+    await syncCompareModels();
+}
+
+/**
+ * Fill the "Compare with" select (snapshot + saved builds)
+ */
+function renderCompareOptions() {
+    const select = document.getElementById('compare-with');
+    if (!select) return;
+    
+    const selected = select.value;
+    select.innerHTML = '';
+    select.add(new Option('Snapshot', COMPARE_SNAPSHOT));
+    for (const build of sortBuilds(savedBuilds)) {
+        select.add(new Option(`Build: ${build.name}`, build.id));
+    }
+    
+    // A deleted build stays the reference until another one is picked
+    select.value = selected;
+}
+
+/**
+ * Create a titled list for the comparison panel
+ * @param {Array<{text: string, title?: string}>} items
+ */
+function createDiffGroup(title, className, items, collapsed = false) {
+    const group = document.createElement(collapsed ? 'details' : 'div');
+    group.className = `compare-group ${className}`;
+    
+    const heading = document.createElement(collapsed ? 'summary' : 'div');
+    heading.className = 'compare-group-title';
+    heading.textContent = `${title} (${items.length})`;
+    group.appendChild(heading);
+    
+    const list = document.createElement('ul');
+    for (const { text, title: itemTitle } of items) {
+        const li = document.createElement('li');
+        li.textContent = text;
+        if (itemTitle) li.title = itemTitle;
+        list.appendChild(li);
+    }
+    group.appendChild(list);
+    
+    return group;
+}
+
+function describeDiffFile(file) {
+    const fileName = file.path.split('/').pop();
+    let quantity = '';
+    if (file.previousQuantity !== undefined) {
+        quantity = ` (x${file.previousQuantity} → x${file.quantity})`;
+    } else if (file.quantity > 1) {
+        quantity = ` (x${file.quantity})`;
+    }
+    return { text: fileName + quantity, title: file.path };
+}
+
+/**
+ * Show the parts diff between the reference (left) and the current configuration (right)
+ */
+function updateCompareDiff() {
+    const diffEl = document.getElementById('compare-diff');
+    if (!diffEl || !state.compare.enabled) return;
+    
+    const { files, variants } = diffConfigs(state.compare.config, state.config);
+    diffEl.innerHTML = '';
+    
+    if (variants.length === 0 && files.added.length === 0 && files.removed.length === 0) {
+        const same = document.createElement('div');
+        same.className = 'compare-same';
+        same.textContent = 'Both configurations print the same parts.';
+        diffEl.appendChild(same);
+    }
+    
+    if (variants.length > 0) {
+        const describe = list => list.map(v => v.name).join(', ') || 'none';
+        diffEl.appendChild(createDiffGroup('Variant changes', 'compare-variants', variants.map(v => ({
+            text: `${v.label}: ${describe(v.from)} → ${describe(v.to)}`
+        }))));
+    }
+    if (files.added.length > 0) {
+        diffEl.appendChild(createDiffGroup('Added files', 'compare-added', files.added.map(describeDiffFile)));
+    }
+    if (files.removed.length > 0) {
+        diffEl.appendChild(createDiffGroup('Removed files', 'compare-removed', files.removed.map(describeDiffFile)));
+    }
+    diffEl.appendChild(createDiffGroup('Shared files', 'compare-shared', files.shared.map(describeDiffFile), true));
+}
+
 // ============================================
 // Event Handlers
 // ============================================
@@ -1105,14 +2662,14 @@ function setupEventListeners() {
     document.querySelectorAll('.option-group input[type=\"radio\"]').forEach(input => {
         input.addEventListener('change', (e) => {
             // Convert kebab-case to camelCase (e.g., "wwbmg-sensors" -> "wwbmgSensors")
-            const configKey = e.target.name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            const configKey = toConfigKey(e.target.name);
             const value = e.target.value;
-            state.config[configKey] = value;
+            recordChange(() => {
+                state.config[configKey] = value;
+            });
 
-            // Show/hide WW-BMG sensor options based on extruder selection
-            if (configKey === 'extruder') {
-                updateWwbmgOptionsVisibility();
-            }
+            // Show/hide nested sub-options (e.g. WW-BMG sensors) based on the selection
+            updateSubOptionsVisibility();
 
             updateViewer();
             saveStateToSession();
@@ -1123,14 +2680,14 @@ function setupEventListeners() {
     document.querySelectorAll('.option-group input[type="checkbox"]').forEach(input => {
         input.addEventListener('change', (e) => {
             // Convert kebab-case to camelCase (e.g., "filament-cutter" -> "filamentCutter")
-            const configKey = e.target.name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+            const configKey = toConfigKey(e.target.name);
+            const group = partsManifest.configOptions[configKey];
 
-            // hexCowl is a boolean, others use value/'none'
-            if (configKey === 'hexCowl') {
-                state.config[configKey] = e.target.checked;
-            } else {
-                state.config[configKey] = e.target.checked ? e.target.value : 'none';
-            }
+            // Checked selects the non-default option (e.g. crossbow / hex cowl on)
+            const checkedOption = group.options.find(o => !o.default);
+            recordChange(() => {
+                state.config[configKey] = e.target.checked ? checkedOption.id : getDefaultOptionId(group);
+            });
             updateViewer();
             saveStateToSession();
         });
@@ -1141,12 +2698,32 @@ function setupEventListeners() {
         centerCameraOnModels();
     });
     document.getElementById('btn-wireframe').addEventListener('click', toggleWireframe);
+    document.getElementById('btn-explode').addEventListener('click', toggleExplode);
+    setupOutliner();
+    setupPartHover();
+    setupSectionPanel();
+    setupMeasurePanel();
+    document.getElementById('explode-slider').addEventListener('input', (e) => {
+        setExplodeTarget(e.target.value / 100);
+    });
+    setupCapturePanel();
+    document.getElementById('btn-compare').addEventListener('click', () => {
+        setCompareMode(!state.compare.enabled);
+    });
+    
+    // Compare mode reference
+    document.getElementById('compare-with').addEventListener('change', async (e) => {
+        await setCompareReference(e.target.value);
+    });
+    document.getElementById('compare-snapshot-btn').addEventListener('click', takeCompareSnapshot);
 
-    // Color pickers
+    // Color pickers (dragging a picker is a single undo step, ended by 'change')
     document.getElementById('main-color').addEventListener('input', (e) => {
         const colorValue = parseInt(e.target.value.replace('#', ''), 16);
         if (!isNaN(colorValue)) {
-            state.mainColor = colorValue;
+            recordChange(() => {
+                state.mainColor = colorValue;
+            }, 'main-color');
             updateModelColors();
             saveStateToSession();
         }
@@ -1154,14 +2731,28 @@ function setupEventListeners() {
     document.getElementById('accent-color').addEventListener('input', (e) => {
         const colorValue = parseInt(e.target.value.replace('#', ''), 16);
         if (!isNaN(colorValue)) {
-            state.accentColor = colorValue;
+            recordChange(() => {
+                state.accentColor = colorValue;
+            }, 'accent-color');
             updateModelColors();
             saveStateToSession();
         }
     });
+    for (const id of ['main-color', 'accent-color']) {
+        document.getElementById(id).addEventListener('change', () => endCoalescing(configHistory));
+    }
 
     // Download button
     document.getElementById('download-btn').addEventListener('click', downloadParts);
+    
+    // Assembly export
+    for (const [format, { button }] of Object.entries(ASSEMBLY_EXPORTS)) {
+        document.getElementById(button).addEventListener('click', () => exportAssembly(format));
+    }
+    
+    // Firmware export
+    document.getElementById('firmware-download-btn').addEventListener('click', downloadFirmwareConfig);
+    document.getElementById('firmware-copy-btn').addEventListener('click', copyFirmwareConfig);
 
     // Copy URL button
     const copyUrlBtn = document.getElementById('copy-url-btn');
@@ -1187,11 +2778,17 @@ function setupEventListeners() {
     if (resetBtn) {
         resetBtn.addEventListener('click', () => {
             if (confirm('Reset configuration to defaults? This will clear all your current settings.')) {
-                resetToDefaults();
+                recordChange(resetToDefaults);
             }
         });
     }
 
+    // Undo / redo buttons and shortcuts
+    setupHistoryControls();
+
+    // My Builds panel
+    setupBuildsPanel();
+
     // Mobile scroll indicator
     setupScrollIndicator();
 }
@@ -1239,62 +2836,43 @@ function setupScrollIndicator() {
     setTimeout(updateScrollIndicator, RENDER_DELAY_MS);
 }
 
+function setWireframe(object, wireframe) {
+    object.traverse((child) => {
+        if (child.isMesh) {
+            child.material.wireframe = wireframe;
+        }
+    });
+}
+
 function toggleWireframe() {
     state.wireframe = !state.wireframe;
     document.getElementById('btn-wireframe').classList.toggle('active', state.wireframe);
     
-    modelGroup.traverse((child) => {
-        if (child.isMesh) {
-            child.material.wireframe = state.wireframe;
-        }
-    });
+    setWireframe(modelGroup, state.wireframe);
+    setWireframe(compareGroup, state.wireframe);
 }
 
 // GitHub raw content base URLs
 const GITHUB_STL_BASE = 'https://raw.githubusercontent.com/Armchair-Heavy-Industries/A4T/main/STL/';
 const GITHUB_3MF_BASE = 'https://raw.githubusercontent.com/Armchair-Heavy-Industries/A4T/main/3mf/';
 
+/**
+ * Save a generated file through a temporary download link
+ */
+function saveBlob(blob, fileName) {
+    const downloadUrl = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = downloadUrl;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(downloadUrl);
+}
+
 async function downloadParts() {
-    const parts = getMatchingParts(state.config);
-    const stlOnlyParts = getMatchingStlOnlyParts(state.config);
-    
-    // Build file list from both rendered parts and STL-only parts
-    // Exclude carriages (from other sources), wwbmg (STL files handled via stlOnlyParts),
-    // hotendSpacers (included in the HE Duct STL, separate gltf for visualization only),
-    // and visualOnly parts (not printable, just for visualization)
-    const renderedFiles = parts
-        .filter(p => p.category !== 'carriages' && p.category !== 'wwbmg' && p.category !== 'hotendSpacers' && !p.visualOnly)
-        .map(p => {
-            // Use stlPath if specified (for parts where STL location differs from GLTF)
-            if (p.stlPath) {
-                return { path: p.stlPath, isStl: true };
-            }
-            // Otherwise, convert GLTF path to STL path
-            let baseName = p.file.replace('.glb', '');
-            const stlPath = baseName.endsWith('.stl') ? baseName : baseName + '.stl';
-            return { path: stlPath, isStl: true, isCowling: p.category === 'cowlings' };
-        });
-    const stlOnlyFiles = stlOnlyParts.map(p => ({ path: p.stlFile, isStl: true }));
-    let allFiles = [...renderedFiles, ...stlOnlyFiles];
-    
-    // Transform cowling files to hex 3MF if hex cowl option is enabled
-    if (state.config.hexCowl) {
-        allFiles = allFiles.map(file => {
-            if (file.isCowling) {
-                // Transform: "Cowlings/A4T Cowling - Dragon_Rapido [cw2-tap].stl"
-                // To: "Cowlings [Hexagon multi-colour]/Hex A4T Cowling - Dragon_Rapido [cw2-tap].3mf"
-                const fileName = file.path.split('/').pop();  // e.g., "A4T Cowling - Dragon_Rapido [cw2-tap].stl"
-                const baseName = fileName.replace('.stl', '');  // Remove .stl
-                const hexFileName = 'Hex ' + baseName + '.3mf';
-                return { 
-                    path: 'Cowlings [Hexagon multi-colour]/' + hexFileName, 
-                    isStl: false,
-                    is3mf: true 
-                };
-            }
-            return file;
-        });
-    }
+    // Printable files for both rendered parts and STL-only parts
+    const allFiles = getPrintableParts(state.config).map(p => p.printFile);
     
     // Show download progress
     const downloadBtn = document.getElementById('download-btn');
@@ -1345,6 +2923,9 @@ async function downloadParts() {
         
         const results = await Promise.all(fetchPromises);
         
+        // Non-printed parts of the configuration, next to the STL folder
+        zip.file('A4T-hardware.csv', formatHardwareCsv(getHardwareBom(state.config)));
+        
         // Check for failures
         const failures = results.filter(r => !r.success);
         if (failures.length > 0) {
@@ -1362,14 +2943,7 @@ async function downloadParts() {
         });
         
         // Trigger download
-        const downloadUrl = URL.createObjectURL(zipBlob);
-        const a = document.createElement('a');
-        a.href = downloadUrl;
-        a.download = 'A4T-STLs.zip';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(downloadUrl);
+        saveBlob(zipBlob, 'A4T-STLs.zip');
         
         // Show completion message
         if (failures.length > 0) {
@@ -1385,6 +2959,155 @@ async function downloadParts() {
     }
 }
 
+// Assembly export formats (see sceneExport.js)
+const ASSEMBLY_EXPORTS = {
+    glb: { button: 'export-glb-btn', fileName: 'A4T-toolhead.glb', type: 'model/gltf-binary', exporter: exportGlb },
+    stl: { button: 'export-stl-btn', fileName: 'A4T-toolhead.stl', type: 'model/stl', exporter: exportStl },
+    '3mf': { button: 'export-3mf-btn', fileName: 'A4T-toolhead.3mf', type: 'model/3mf', exporter: export3mf }
+};
+
+/**
+ * Export the assembled toolhead from the viewer
+ * @param {string} format - Key of ASSEMBLY_EXPORTS
+ */
+async function exportAssembly(format) {
+    const { button, fileName, type, exporter } = ASSEMBLY_EXPORTS[format];
+    const exportBtn = document.getElementById(button);
+    const includeVisualOnly = document.getElementById('export-include-reference').checked;
+    
+    exportBtn.disabled = true;
+    try {
+        const data = await exporter(modelGroup, { includeVisualOnly, dimensions: getExportDimensions() });
+        if (!data) {
+            alert('Nothing to export - the 3D models are still loading or unavailable.');
+            return;
+        }
+        saveBlob(new Blob([data], { type }), fileName);
+    } catch (error) {
+        console.error(`${format.toUpperCase()} export failed:`, error);
+        alert('Export failed: ' + error.message);
+    } finally {
+        exportBtn.disabled = false;
+    }
+}
+
+/**
+ * Save the Klipper config snippet of the configuration (see firmwareConfig.js)
+ */
+function downloadFirmwareConfig() {
+    const text = generateKlipperConfig(state.config);
+    saveBlob(new Blob([text], { type: 'text/plain' }), 'A4T-toolhead.cfg');
+}
+
+async function copyFirmwareConfig() {
+    const copyBtn = document.getElementById('firmware-copy-btn');
+    const originalText = copyBtn.textContent;
+    
+    try {
+        await navigator.clipboard.writeText(generateKlipperConfig(state.config));
+        copyBtn.textContent = 'Copied!';
+    } catch (err) {
+        console.error('Failed to copy Klipper config:', err);
+        copyBtn.textContent = 'Failed to copy';
+    }
+    
+    setTimeout(() => {
+        copyBtn.textContent = originalText;
+    }, 2000);
+}
+
+// ============================================
+// Capture (screenshots and turntables, see viewerCapture.js)
+// ============================================
+
+/**
+ * The viewer as seen by the capture tool
+ */
+function getCaptureView() {
+    return {
+        camera,
+        target: controls.target,
+        scenes: [scene, compareScene],
+        aspect: (width, height) => (state.compare.enabled ? width / 2 : width) / height,
+        render: renderView
+    };
+}
+
+/**
+ * Read the capture panel settings
+ */
+function getCaptureOptions() {
+    const size = document.getElementById('capture-size').value;
+    let width, height;
+    if (size === 'viewer') {
+        // Twice the on-screen size
+        const container = document.getElementById('viewer-3d');
+        width = container.clientWidth * 2;
+        height = container.clientHeight * 2;
+    } else {
+        [width, height] = size.split('x').map(Number);
+    }
+    
+    return {
+        width,
+        height,
+        transparent: document.getElementById('capture-transparent').checked,
+        frames: Number(document.getElementById('capture-frames').value)
+    };
+}
+
+async function saveScreenshot() {
+    const button = document.getElementById('capture-png-btn');
+    button.disabled = true;
+    try {
+        const png = await captureImage(getCaptureView(), getCaptureOptions());
+        saveBlob(png, 'A4T-toolhead.png');
+    } catch (error) {
+        console.error('Screenshot failed:', error);
+        alert('Screenshot failed: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Save a turntable image sequence as a ZIP of numbered PNG frames
+ */
+async function saveTurntable() {
+    const button = document.getElementById('capture-turntable-btn');
+    const originalText = button.textContent;
+    button.disabled = true;
+    try {
+        const frames = await captureTurntable(getCaptureView(), getCaptureOptions(), (done, total) => {
+            button.textContent = `Rendering... ${done}/${total}`;
+        });
+        
+        button.textContent = 'Creating ZIP...';
+        const zip = new JSZip();
+        const folder = zip.folder('A4T-turntable');
+        frames.forEach((frame, i) => folder.file(`frame-${String(i).padStart(3, '0')}.png`, frame));
+        saveBlob(await zip.generateAsync({ type: 'blob' }), 'A4T-turntable.zip');
+    } catch (error) {
+        console.error('Turntable capture failed:', error);
+        alert('Turntable capture failed: ' + error.message);
+    } finally {
+        button.disabled = false;
+        button.textContent = originalText;
+    }
+}
+
+function setupCapturePanel() {
+    const panel = document.getElementById('capture-panel');
+    const captureBtn = document.getElementById('btn-capture');
+    captureBtn.addEventListener('click', () => {
+        const isOpen = panel.classList.toggle('visible');
+        captureBtn.classList.toggle('active', isOpen);
+    });
+    
+    document.getElementById('capture-png-btn').addEventListener('click', saveScreenshot);
+    document.getElementById('capture-turntable-btn').addEventListener('click', saveTurntable);
+}
+
 // ============================================
 // Initialize
 // ============================================
@@ -1402,6 +3125,7 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     initThreeJS();
+    renderConfigSections();
     setupEventListeners();
 
     // Sync UI to reflect loaded state
@@ -1416,7 +3140,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Listen for hash changes (e.g., when user pastes a shared URL)
     window.addEventListener('hashchange', () => {
-        const loaded = loadStateFromHash();
+        let loaded = false;
+        recordChange(() => {
+            loaded = loadStateFromHash();
+        });
 
         if (loaded) {
             // Clear hash after loading
@@ -0,0 +1,112 @@
+/**
+ * A4T Configuration Diff
+ * ======================
+ *
+ * Compares what two configurations resolve to (getMatchingParts /
+ * getMatchingStlOnlyParts, see configResolver.js):
+ *   - printed files that are added, removed or shared going from A to B
+ *   - variant changes in single-variant slots - the categories with a
+ *     `cardinality` of at most one (cowling, hotend duct, extruder adapter...)
+ *
+ * Used by the compare mode in app.js. This module has no DOM or Three.js
+ * dependencies.
+ */
+
+import { partsManifest } from './partsManifest.js';
+import { getMatchingParts, getMatchingStlOnlyParts, getPrintableParts } from './configResolver.js';
+
+/**
+ * Identify a printed file (the same path can exist as STL and 3MF)
+ */
+function getFileKey(printFile) {
+    return `${printFile.is3mf ? '3mf' : 'stl'}:${printFile.path}`;
+}
+
+/**
+ * Printed files of a configuration, keyed by getFileKey()
+ * @returns {Map<string, {path: string, is3mf: boolean, categoryLabel: string, quantity: number}>}
+ */
+function getPrintedFiles(config) {
+    const files = new Map();
+    for (const part of getPrintableParts(config)) {
+        const key = getFileKey(part.printFile);
+        const quantity = (files.get(key)?.quantity || 0) + (part.quantity || 1);
+        files.set(key, { ...part.printFile, categoryLabel: part.categoryLabel, quantity });
+    }
+    return files;
+}
+
+/**
+ * Categories that hold (at most) one variant per configuration
+ */
+function getSlotCategories() {
+    const slots = [];
+    for (const categories of [partsManifest.parts, partsManifest.stlOnlyParts || {}]) {
+        for (const [categoryId, category] of Object.entries(categories)) {
+            if (category.cardinality?.max === 1) {
+                slots.push({ categoryId, label: category.category });
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Display name of a variant (its file name without the folder)
+ */
+function getVariantName(part) {
+    return part.file.split('/').pop();
+}
+
+/**
+ * Diff the parts of two configurations
+ * @param {Object} configA - Reference configuration
+ * @param {Object} configB - Configuration compared against it
+ * @returns {{
+ *   files: {added: Array, removed: Array, shared: Array},
+ *   variants: Array<{categoryId: string, label: string, from: Array<{id, name}>, to: Array<{id, name}>}>
+ * }}
+ *   Files are {path, is3mf, categoryLabel, quantity}; shared files whose quantity changed also
+ *   carry `previousQuantity`. A slot left empty (e.g. no extruder adapter) has an empty from/to.
+ */
+export function diffConfigs(configA, configB) {
+    const filesA = getPrintedFiles(configA);
+    const filesB = getPrintedFiles(configB);
+
+    const files = { added: [], removed: [], shared: [] };
+    for (const [key, file] of filesB) {
+        const previous = filesA.get(key);
+        if (!previous) {
+            files.added.push(file);
+        } else if (previous.quantity !== file.quantity) {
+            files.shared.push({ ...file, previousQuantity: previous.quantity });
+        } else {
+            files.shared.push(file);
+        }
+    }
+    for (const [key, file] of filesA) {
+        if (!filesB.has(key)) {
+            files.removed.push(file);
+        }
+    }
+
+    const partsA = [...getMatchingParts(configA), ...getMatchingStlOnlyParts(configA)];
+    const partsB = [...getMatchingParts(configB), ...getMatchingStlOnlyParts(configB)];
+    const variants = [];
+    for (const { categoryId, label } of getSlotCategories()) {
+        const from = partsA.filter(p => p.category === categoryId && !p.visualOnly);
+        const to = partsB.filter(p => p.category === categoryId && !p.visualOnly);
+        const fromIds = from.map(p => p.id).join(',');
+        const toIds = to.map(p => p.id).join(',');
+        if (fromIds !== toIds) {
+            variants.push({
+                categoryId,
+                label,
+                from: from.map(p => ({ id: p.id, name: getVariantName(p) })),
+                to: to.map(p => ({ id: p.id, name: getVariantName(p) }))
+            });
+        }
+    }
+
+    return { files, variants };
+}
@@ -0,0 +1,227 @@
+/**
+ * A4T Configuration Resolver
+ * ==========================
+ *
+ * Resolves a configuration to the parts it needs: which variants are rendered,
+ * which model files they load and which STL/3MF files the user downloads.
+ *
+ * This module has no DOM or Three.js dependencies. It is shared by app.js and
+ * the Node test suite (tests/stl-coverage.test.js), so the tests exercise the
+ * same logic the configurator runs.
+ */
+
+import { partsManifest } from './partsManifest.js';
+
+// Folder (under the 3mf/ root) holding the multi-colour hex cowlings
+const HEX_COWL_3MF_FOLDER = 'Cowlings [Hexagon multi-colour]/';
+
+/**
+ * Get the default option id of a config group (the option flagged default: true)
+ */
+export function getDefaultOptionId(group) {
+    return (group.options.find(option => option.default) || group.options[0]).id;
+}
+
+/**
+ * Build the default configuration from the configOptions default flags
+ */
+export function getDefaultConfig() {
+    const config = {};
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        config[key] = getDefaultOptionId(group);
+    }
+    return config;
+}
+
+/**
+ * Check if a part variant matches a configuration
+ */
+export function partMatchesConfig(partData, config) {
+    // Check required exact matches
+    if (partData.requires) {
+        for (const [key, value] of Object.entries(partData.requires)) {
+            if (config[key] !== value) {
+                return false;
+            }
+        }
+    }
+
+    // Check requiresAny (for each key, at least one value must match - ALL keys must pass)
+    if (partData.requiresAny) {
+        for (const [key, values] of Object.entries(partData.requiresAny)) {
+            if (!values.includes(config[key])) {
+                return false;
+            }
+        }
+    }
+
+    // Check exclusions
+    if (partData.excludeIf) {
+        for (const [key, values] of Object.entries(partData.excludeIf)) {
+            if (values.includes(config[key])) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Check if the configuration skips extruder adapters (like Sherpa Mini or UHF hotends)
+ */
+export function skipsExtruderAdapter(config) {
+    const extruderRule = partsManifest.compatibility[config.extruder];
+    const hotendRule = partsManifest.compatibility[config.hotend];
+    return extruderRule?.noExtruderAdapter === true || hotendRule?.noExtruderAdapter === true;
+}
+
+/**
+ * Collect matching variants from a group of categories (parts or stlOnlyParts)
+ */
+function collectMatching(categories, config, skipCategory = () => false) {
+    const matching = [];
+
+    for (const [categoryId, category] of Object.entries(categories || {})) {
+        if (skipCategory(categoryId)) {
+            continue;
+        }
+
+        for (const [partId, partData] of Object.entries(category.variants)) {
+            if (partMatchesConfig(partData, config)) {
+                matching.push({
+                    id: partId,
+                    category: categoryId,
+                    categoryLabel: category.category,
+                    ...partData
+                });
+            }
+        }
+    }
+
+    return matching;
+}
+
+/**
+ * Check if a whole part category is left out for the configuration
+ * Extruder adapters are skipped for extruders/hotends that don't use them
+ */
+export function isCategorySkipped(categoryId, config) {
+    return categoryId === 'extruderAdapters' && skipsExtruderAdapter(config);
+}
+
+/**
+ * Get all parts that match the configuration
+ */
+export function getMatchingParts(config) {
+    return collectMatching(partsManifest.parts, config,
+        categoryId => isCategorySkipped(categoryId, config));
+}
+
+/**
+ * Get STL-only parts that match the configuration (not rendered, just for download)
+ */
+export function getMatchingStlOnlyParts(config) {
+    return collectMatching(partsManifest.stlOnlyParts, config);
+}
+
+/**
+ * Offset of a part category at full explode (manifest `explode`, mm)
+ * @returns {number[]} [x, y, z], zero for categories that stay in place
+ */
+export function getExplodeOffset(categoryId) {
+    return partsManifest.parts[categoryId]?.explode || [0, 0, 0];
+}
+
+/**
+ * Default viewer opacity of a part (manifest `opacity` on the part or its category)
+ * @param {Object} part - Part from getMatchingParts
+ * @returns {number} 0-1
+ */
+export function getDefaultOpacity(part) {
+    return part.opacity ?? partsManifest.parts[part.category]?.opacity ?? 1;
+}
+
+/**
+ * Reference points of a configuration (manifest nozzleTip, origin and probe)
+ * Points are assembled positions in mm; null when the manifest doesn't give them
+ * (there is no fallback: a model's transform position is where it is placed,
+ * not a reference point on the part).
+ * @returns {{origin: number[]|null, nozzleTip: number[]|null, probe: number[]|'nozzle'|null}}
+ */
+export function getReferencePoints(config) {
+    const parts = getMatchingParts(config);
+    const carriage = parts.find(p => p.category === 'carriages');
+    const hotend = parts.find(p => p.category === 'hotends');
+
+    return {
+        origin: carriage?.origin || null,
+        nozzleTip: hotend?.nozzleTip || null,
+        probe: carriage?.probe || null
+    };
+}
+
+/**
+ * Build the model file path for a rendered part
+ * Hex cowlings use the same file name prefixed with "Hex "
+ */
+export function getModelPath(part, isHexCowl = false) {
+    let file = part.file;
+
+    if (isHexCowl && part.category === 'cowlings') {
+        const segments = file.split('/');
+        segments.push('Hex ' + segments.pop());
+        file = segments.join('/');
+    }
+
+    return partsManifest.basePath + file + '.' + partsManifest.fileExtension;
+}
+
+/**
+ * Resolve the download file for a part
+ * @returns {{path: string, is3mf: boolean}} Path relative to the STL/ or 3mf/ root
+ */
+export function getPrintFile(part, config) {
+    let filePath;
+
+    if (part.stlFile) {
+        // STL-only parts
+        filePath = part.stlFile;
+    } else if (part.stlPath) {
+        // Parts where the STL location differs from the model
+        filePath = part.stlPath;
+    } else {
+        // Convert model path to STL path
+        filePath = part.file.endsWith('.stl') ? part.file : part.file + '.stl';
+    }
+
+    // Transform cowlings to the hex 3MF if enabled:
+    // "Cowlings/A4T Cowling - Dragon_Rapido [cw2-tap].stl"
+    // -> "Cowlings [Hexagon multi-colour]/Hex A4T Cowling - Dragon_Rapido [cw2-tap].3mf"
+    if (config.hexCowl && part.category === 'cowlings') {
+        const baseName = filePath.split('/').pop().replace('.stl', '');
+        return { path: HEX_COWL_3MF_FOLDER + 'Hex ' + baseName + '.3mf', is3mf: true };
+    }
+
+    return { path: filePath, is3mf: false };
+}
+
+/**
+ * Get the printable parts for a configuration, each with its resolved download file
+ * Skips visual-only parts and categories flagged with excludeFromDownload
+ * @returns {Array<Object>} Part entries with an added `printFile` ({path, is3mf})
+ */
+export function getPrintableParts(config) {
+    const excluded = new Set();
+    for (const categories of [partsManifest.parts, partsManifest.stlOnlyParts || {}]) {
+        for (const [categoryId, category] of Object.entries(categories)) {
+            if (category.excludeFromDownload) {
+                excluded.add(categoryId);
+            }
+        }
+    }
+
+    return [...getMatchingParts(config), ...getMatchingStlOnlyParts(config)]
+        .filter(part => !excluded.has(part.category) && !part.visualOnly)
+        .map(part => ({ ...part, printFile: getPrintFile(part, config) }));
+}
@@ -0,0 +1,269 @@
+/**
+ * A4T Constraint Engine
+ * =====================
+ *
+ * Evaluates the declarative rules in partsManifest.compatibility against a
+ * configuration. Produces the options that should be disabled in the UI (with
+ * a human-readable reason), warnings for conflicts that are already present,
+ * and the section notes that explain why options are unavailable.
+ *
+ * This module has no DOM or Three.js dependencies so it can also be used
+ * from Node (see tests/).
+ *
+ * RULE FORMAT (keyed by option id):
+ * ---------------------------------
+ *   incompatibleWith: { configKey: ["a", "b"] }  // Never together with these
+ *   compatibleWith: { configKey: ["a", "b"] }    // Only together with these
+ *   warningMessage: "..."                        // Shown if the conflict exists
+ *   notes: { configKey: "element-id" }           // Note shown while options of configKey are disabled
+ *
+ * Option groups in configOptions may also declare `requiresPart`: an option of
+ * that group is only available when a printable variant in the listed part
+ * categories matches the configuration (e.g. a toolhead board needs a mount for
+ * the selected extruder and carriage).
+ */
+
+import { partsManifest } from './partsManifest.js';
+import { partMatchesConfig } from './configResolver.js';
+
+/**
+ * Collect the printable variants of the given categories from parts and stlOnlyParts
+ */
+function getPrintableVariants(categoryIds) {
+    const variants = [];
+    for (const source of [partsManifest.parts, partsManifest.stlOnlyParts || {}]) {
+        for (const categoryId of categoryIds) {
+            const category = source[categoryId];
+            if (!category) continue;
+            variants.push(...Object.values(category.variants).filter(v => !v.visualOnly));
+        }
+    }
+    return variants;
+}
+
+/**
+ * Config keys that a set of variants depends on
+ */
+function getReferencedKeys(variants) {
+    const keys = new Set();
+    for (const variant of variants) {
+        for (const field of ['requires', 'requiresAny', 'excludeIf']) {
+            Object.keys(variant[field] || {}).forEach(key => keys.add(key));
+        }
+    }
+    return [...keys].filter(key => partsManifest.configOptions[key]);
+}
+
+/**
+ * Find the config key an option id belongs to (e.g. "sherpa-mini" -> "extruder")
+ */
+function getOptionKey(optionId) {
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        if (group.options.some(option => option.id === optionId)) {
+            return key;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the display label for an option, falling back to its id
+ */
+export function getOptionLabel(key, optionId) {
+    const group = partsManifest.configOptions[key];
+    const option = group?.options.find(o => o.id === optionId);
+    return option ? option.label : String(optionId);
+}
+
+/**
+ * Evaluate all compatibility rules against a configuration
+ * @param {Object} config - Current configuration
+ * @returns {{disabled: Object, conflicts: Array, warnings: string[], notes: string[]}}
+ *   disabled: { configKey: { optionId: reason } }
+ *   conflicts: rules violated by the configuration itself
+ */
+export function evaluateConstraints(config) {
+    const disabled = {};
+    const conflicts = [];
+    const notes = new Set();
+
+    function disable(key, optionId, reason, note) {
+        if (!disabled[key]) {
+            disabled[key] = {};
+        }
+        // First reason wins - rules are listed most specific first
+        if (!disabled[key][optionId]) {
+            disabled[key][optionId] = reason;
+        }
+        if (note) {
+            notes.add(note);
+        }
+    }
+
+    for (const [optionId, rule] of Object.entries(partsManifest.compatibility)) {
+        const ruleKey = getOptionKey(optionId);
+        if (!ruleKey) continue;
+
+        const isSelected = config[ruleKey] === optionId;
+        const ruleLabel = getOptionLabel(ruleKey, optionId);
+        const conflictMessage = key => rule.warningMessage ||
+            `${ruleLabel} is not compatible with ${getOptionLabel(key, config[key])}`;
+
+        // Symmetric exclusions: selecting either side disables the other
+        for (const [key, values] of Object.entries(rule.incompatibleWith || {})) {
+            if (isSelected) {
+                for (const value of values) {
+                    disable(key, value, `Not compatible with ${ruleLabel}`, rule.notes?.[key]);
+                }
+            }
+            if (values.includes(config[key])) {
+                disable(ruleKey, optionId, `Not compatible with ${getOptionLabel(key, config[key])}`, rule.notes?.[ruleKey]);
+                if (isSelected) {
+                    conflicts.push({ optionId, key, value: config[key], message: conflictMessage(key) });
+                }
+            }
+        }
+
+        // Whitelists: the option is only available alongside the listed values
+        for (const [key, allowed] of Object.entries(rule.compatibleWith || {})) {
+            if (isSelected) {
+                const options = partsManifest.configOptions[key]?.options || [];
+                for (const option of options) {
+                    if (!allowed.includes(option.id)) {
+                        disable(key, option.id, `Not compatible with ${ruleLabel}`, rule.notes?.[key]);
+                    }
+                }
+            }
+            if (!allowed.includes(config[key])) {
+                const allowedLabels = allowed.map(value => getOptionLabel(key, value)).join(' or ');
+                disable(ruleKey, optionId, `Only available with ${allowedLabels}`, rule.notes?.[ruleKey]);
+                if (isSelected) {
+                    conflicts.push({ optionId, key, value: config[key], message: conflictMessage(key) });
+                }
+            }
+        }
+    }
+
+    // Options that are only available when a matching part exists
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        const requirement = group.requiresPart;
+        if (!requirement) continue;
+
+        const variants = getPrintableVariants(requirement.categories);
+        const probeKeys = getReferencedKeys(variants);
+        const except = requirement.except || [];
+        const hasPart = candidate => variants.some(v => partMatchesConfig(v, candidate));
+
+        // Explain a missing part by the single option that would make one available
+        const describeMissing = (candidate, probeKey) => {
+            const blockers = [probeKey, ...probeKeys].filter(k => k !== key);
+            const blocker = blockers.find(k =>
+                partsManifest.configOptions[k].options.some(o => hasPart({ ...candidate, [k]: o.id }))
+            );
+            const optionLabel = getOptionLabel(key, candidate[key]);
+            return blocker
+                ? `No ${optionLabel} ${requirement.label} for ${getOptionLabel(blocker, candidate[blocker])}`
+                : `No ${optionLabel} ${requirement.label} for this configuration`;
+        };
+
+        // Probe every option a part depends on (e.g. each board, extruder and carriage)
+        for (const probeKey of probeKeys) {
+            for (const option of partsManifest.configOptions[probeKey].options) {
+                const candidate = { ...config, [probeKey]: option.id };
+                if (except.includes(candidate[key]) || hasPart(candidate)) continue;
+                disable(probeKey, option.id, describeMissing(candidate, probeKey));
+            }
+        }
+
+        if (!except.includes(config[key]) && !hasPart(config)) {
+            conflicts.push({
+                optionId: config[key],
+                key,
+                value: config[key],
+                message: describeMissing(config, key)
+            });
+        }
+    }
+
+    // One warning per distinct conflict message
+    const warnings = [];
+    for (const { message } of conflicts) {
+        if (!warnings.includes(message)) {
+            warnings.push(message);
+        }
+    }
+
+    return { disabled, conflicts, warnings, notes: [...notes] };
+}
+
+/**
+ * Check whether a configuration violates any compatibility rule
+ */
+export function isConfigValid(config) {
+    return evaluateConstraints(config).conflicts.length === 0;
+}
+
+/**
+ * Find changes for up to `depth` more keys (from keys[start] on) that make the config valid
+ */
+function findRepair(config, keys, depth, start) {
+    for (let i = start; i < keys.length; i++) {
+        const key = keys[i];
+        const group = partsManifest.configOptions[key];
+
+        // Defaults first, then in listed order
+        const options = [...group.options].sort((a, b) => (b.default === true) - (a.default === true));
+        for (const option of options) {
+            if (option.id === config[key]) continue;
+
+            const candidate = { ...config, [key]: option.id };
+            const repaired = depth === 1
+                ? (isConfigValid(candidate) ? candidate : null)
+                : findRepair(candidate, keys, depth - 1, i + 1);
+            if (repaired) {
+                return repaired;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Repair a configuration that violates compatibility rules to the nearest valid one
+ * Changes as few options as possible: all single-group changes are tried before any
+ * pair, and so on. Among repairs of the same size the first one found wins, with
+ * groups tried from the last in configOptions to the first (the later groups are
+ * the more specific ones) and, within a group, the default option before the
+ * others in listed order. E.g. Sherpa Mini + Crossbow drops the cutter (to its
+ * default, none), not the extruder; Sherpa Mini + Dragon UHF goes back to the
+ * default extruder rather than changing the hotend.
+ * @returns {Object} A valid configuration (the input itself if already valid, or
+ *   if no combination of changes is valid)
+ */
+export function repairConfig(config) {
+    if (isConfigValid(config)) {
+        return config;
+    }
+
+    const keys = Object.keys(partsManifest.configOptions).reverse();
+    for (let depth = 1; depth <= keys.length; depth++) {
+        const repaired = findRepair(config, keys, depth, 0);
+        if (repaired) {
+            return repaired;
+        }
+    }
+    return config;
+}
+
+/**
+ * Collect every note element id referenced by the rules (so the UI can hide inactive ones)
+ */
+export function getConstraintNoteIds() {
+    const ids = new Set();
+    for (const rule of Object.values(partsManifest.compatibility)) {
+        for (const id of Object.values(rule.notes || {})) {
+            ids.add(id);
+        }
+    }
+    return [...ids];
+}
@@ -0,0 +1,163 @@
+/**
+ * A4T Firmware Config
+ * ===================
+ *
+ * Generates the Klipper config sections for a configuration from the
+ * manifest's `firmware` tables:
+ *   - the toolhead board's MCU section (canbus_uuid or serial; none for
+ *     passive breakout boards)
+ *   - [extruder] defaults: rotation_distance, gear_ratio, max_extrude_only_distance
+ *   - [fan] and [heater_fan hotend_fan] pins from the board's pin map
+ *   - filament switch sensor and cutter macro stubs
+ *
+ * Klipper merges sections of the same name, so the snippet goes into
+ * printer.cfg next to the existing [extruder] (step pins, heater, thermistor).
+ * Values the manifest doesn't know are written as <placeholders>, which Klipper
+ * rejects until they are filled in.
+ *
+ * This module has no DOM or Three.js dependencies.
+ */
+
+import { partsManifest } from './partsManifest.js';
+
+const HEADER_WIDTH = 72;
+
+function getOptionLabel(key, config) {
+    const group = partsManifest.configOptions[key];
+    return group?.options.find(o => o.id === config[key])?.label || String(config[key]);
+}
+
+/**
+ * Check if a config group applies (groups with dependsOn only matter for that option)
+ */
+function isGroupActive(key, config) {
+    const dependsOn = partsManifest.configOptions[key]?.dependsOn || {};
+    return Object.entries(dependsOn).every(([dependsKey, value]) => config[dependsKey] === value);
+}
+
+/**
+ * Format one config section
+ * @param {string} name - Section name without brackets
+ * @param {Array<[string, *]>} options - Option name and value pairs; values may be multi-line
+ * @param {string[]} [comments] - Lines written above the options
+ */
+function formatSection(name, options, comments = []) {
+    const lines = [`[${name}]`, ...comments.map(comment => `# ${comment}`)];
+    for (const [option, value] of options) {
+        const [first, ...rest] = String(value).split('\n');
+        lines.push(first ? `${option}: ${first}` : `${option}:`, ...rest);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Pin on the toolhead board, or a placeholder when its pin map doesn't have it
+ * @param {Object|null} board - Entry of firmware.boards (null: wired to the main MCU)
+ * @param {string} pin - Pin from the board's pin map
+ * @param {string} placeholder - Shown instead of a missing pin
+ */
+function getBoardPin(board, pin, placeholder) {
+    return pin && board?.mcu ? `${board.mcu.name}:${pin}` : `<${placeholder}>`;
+}
+
+/**
+ * [mcu] section of the toolhead board
+ * @returns {string|null} null without a board or for passive boards (no MCU of their own)
+ */
+function getMcuSection(config, board) {
+    if (config.toolheadBoard === 'none' || board?.passive) return null;
+
+    const label = getOptionLabel('toolheadBoard', config);
+    if (!board?.mcu) {
+        return formatSection('mcu toolhead', [['canbus_uuid', '<uuid>']], [
+            `${label}: no MCU details in the manifest yet - use serial: for USB boards`
+        ]);
+    }
+
+    const { name, connection } = board.mcu;
+    const options = connection === 'usb'
+        ? [['serial', '/dev/serial/by-id/<id>  # ls /dev/serial/by-id/*']]
+        : [['canbus_uuid', '<uuid>  # ~/klippy-env/bin/python ~/klipper/scripts/canbus_query.py can0']];
+    return formatSection(`mcu ${name}`, options, [label, ...(board.note ? [board.note] : [])]);
+}
+
+function getExtruderSection(config) {
+    const label = getOptionLabel('extruder', config);
+    const extruder = partsManifest.firmware?.extruders?.[config.extruder];
+    if (!extruder) {
+        return formatSection('extruder', [
+            ['rotation_distance', '<rotation distance>'],
+            ['max_extrude_only_distance', '<mm>']
+        ], [`${label}: no defaults in the manifest yet - see the extruder's documentation`]);
+    }
+
+    const options = [['rotation_distance', extruder.rotationDistance]];
+    if (extruder.gearRatio) {
+        options.push(['gear_ratio', extruder.gearRatio]);
+    }
+    options.push(['max_extrude_only_distance', extruder.maxExtrudeOnlyDistance]);
+    return formatSection('extruder', options, [label]);
+}
+
+function getFanSections(board) {
+    const note = board?.passive && board.note ? [board.note] : [];
+    return [
+        formatSection('fan', [['pin', getBoardPin(board, board?.pins?.fan, 'part fan pin')]], ['Part cooling fan', ...note]),
+        formatSection('heater_fan hotend_fan', [
+            ['pin', getBoardPin(board, board?.pins?.hotendFan, 'hotend fan pin')],
+            ['heater', 'extruder'],
+            ['heater_temp', '50.0']
+        ], ['Hotend fan'])
+    ];
+}
+
+function getFilamentSensorSections(config, board) {
+    if (!isGroupActive('wwbmgSensors', config)) return [];
+
+    const sensors = partsManifest.firmware?.filamentSensors?.[config.wwbmgSensors] || [];
+    return sensors.map(({ name, label }, i) => formatSection(`filament_switch_sensor ${name}`, [
+        ['switch_pin', getBoardPin(board, board?.pins?.filamentSensors?.[i], 'sensor pin')],
+        ['pause_on_runout', 'True']
+    ], [label]));
+}
+
+function getFilamentCutterSections(config) {
+    const cutter = partsManifest.firmware?.filamentCutters?.[config.filamentCutter];
+    if (!cutter) return [];
+
+    return [formatSection(`gcode_macro ${cutter.macro}`, [
+        ['description', cutter.description],
+        ['gcode', ['', ...cutter.gcode.map(line => `    ${line}`)].join('\n')]
+    ], [getOptionLabel('filamentCutter', config)])];
+}
+
+/**
+ * Generate the Klipper config snippet for a configuration
+ * @param {Object} config - Configuration (option ids per config key)
+ * @returns {string} printer.cfg sections, ending in a newline
+ */
+export function generateKlipperConfig(config) {
+    const board = partsManifest.firmware?.boards?.[config.toolheadBoard];
+    const summary = ['carriage', 'hotend', 'extruder', 'toolheadBoard']
+        .map(key => `${partsManifest.configOptions[key].label}: ${getOptionLabel(key, config)}`);
+
+    const header = [
+        '#'.repeat(HEADER_WIDTH),
+        '# A4T toolhead - Klipper config (generated by the A4T Configurator)',
+        ...summary.map(line => `#   ${line}`),
+        '#',
+        '# Sections merge with those of the same name in printer.cfg. Check every',
+        '# pin against your board\'s documentation and fill in the <placeholders>.',
+        '#'.repeat(HEADER_WIDTH)
+    ].join('\n');
+
+    const sections = [
+        getMcuSection(config, board),
+        getExtruderSection(config),
+        ...getFanSections(config.toolheadBoard === 'none' ? null : board),
+        ...getFilamentSensorSections(config, board),
+        ...getFilamentCutterSections(config)
+    ].filter(Boolean);
+
+    return [header, ...sections].join('\n\n') + '\n';
+}
@@ -0,0 +1,87 @@
+/**
+ * A4T Hardware BOM
+ * ================
+ *
+ * Collects the non-printed parts of a configuration - screws, inserts, nuts,
+ * fans, LEDs and the like - from the manifest's `hardware` counts on the
+ * matching categories and parts, totalled per item of `hardwareItems`.
+ *
+ * Counts are per printed file and multiplied by the part's quantity. Visual
+ * parts count too: the carriage carries the screws that hang the toolhead.
+ *
+ * This module has no DOM or Three.js dependencies.
+ */
+
+import { partsManifest } from './partsManifest.js';
+import { getMatchingParts, getMatchingStlOnlyParts } from './configResolver.js';
+
+/**
+ * Hardware counts of a part (the part's own `hardware`, else its category's)
+ */
+function getPartHardware(part, categories) {
+    return part.hardware ?? categories[part.category]?.hardware ?? {};
+}
+
+/**
+ * Hardware bill of materials for a configuration
+ * @returns {Array<{id: string, label: string, group: string, screw: boolean, length: number|null,
+ *   quantity: number, usedBy: string[]}>} One row per item, in hardwareItems order; length (mm)
+ *   is null where the manifest doesn't give one; usedBy lists the category labels needing it
+ */
+export function getHardwareBom(config) {
+    const totals = new Map();  // Map<itemId, {quantity, usedBy: Set}>
+    const sources = [
+        [getMatchingParts(config), partsManifest.parts],
+        [getMatchingStlOnlyParts(config), partsManifest.stlOnlyParts || {}]
+    ];
+
+    for (const [parts, categories] of sources) {
+        for (const part of parts) {
+            for (const [itemId, count] of Object.entries(getPartHardware(part, categories))) {
+                const total = totals.get(itemId) || { quantity: 0, usedBy: new Set() };
+                total.quantity += count * (part.quantity || 1);
+                total.usedBy.add(part.categoryLabel);
+                totals.set(itemId, total);
+            }
+        }
+    }
+
+    const items = partsManifest.hardwareItems || {};
+    return Object.keys(items)
+        .filter(itemId => totals.has(itemId))
+        .map(itemId => ({
+            id: itemId,
+            label: items[itemId].label,
+            group: items[itemId].group,
+            screw: items[itemId].screw === true,
+            length: items[itemId].length ?? null,
+            quantity: totals.get(itemId).quantity,
+            usedBy: [...totals.get(itemId).usedBy]
+        }));
+}
+
+/**
+ * Length column of a BOM row: "12 mm", "see assembly guide" for screws the manifest
+ * has no length for, empty for everything else
+ */
+export function formatHardwareLength(row) {
+    if (row.length !== null) return `${row.length} mm`;
+    return row.screw ? 'see assembly guide' : '';
+}
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a BOM as CSV (comma separated, header row, CRLF line endings as in RFC 4180)
+ * @param {Array<Object>} bom - Rows from getHardwareBom
+ */
+export function formatHardwareCsv(bom) {
+    const rows = [
+        ['Group', 'Item', 'Length', 'Quantity', 'Used by'],
+        ...bom.map(row => [row.group, row.label, formatHardwareLength(row), row.quantity, row.usedBy.join('; ')])
+    ];
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,168 @@
+/**
+ * A4T Measurements
+ * ================
+ *
+ * Distances between points of the assembly, snapping of picked points to the
+ * vertices and edges of the picked triangle, and the toolhead dimensions
+ * (nozzle and probe offsets, bounding box).
+ *
+ * Points are [x, y, z] in viewer coordinates: millimeters (see globalScale),
+ * +Y up and +Z toward the front of the toolhead. Results are reported in
+ * printer axes instead - X to the right, Y to the back, Z up - which is how
+ * offsets are entered in printer firmware.
+ *
+ * This module has no DOM or Three.js dependencies.
+ */
+
+/**
+ * Convert a viewer vector to printer axes
+ * @param {number[]} vector - [x, y, z] viewer coordinates
+ * @returns {number[]} [x, y, z] printer axes
+ */
+export function toPrinterAxes([x, y, z]) {
+    return [x, -z, y];
+}
+
+/**
+ * Distance between two points
+ * @param {number[]} from - Viewer coordinates
+ * @param {number[]} to - Viewer coordinates
+ * @returns {{distance: number, delta: number[]}} delta in printer axes (to - from)
+ */
+export function measureDistance(from, to) {
+    const delta = toPrinterAxes(to.map((value, i) => value - from[i]));
+    return { distance: Math.hypot(...delta), delta };
+}
+
+/**
+ * Format a length in millimeters for display
+ */
+export function formatMm(value, digits = 1) {
+    // Avoid "-0.0"
+    const rounded = Number(value.toFixed(digits));
+    return `${(rounded === 0 ? 0 : rounded).toFixed(digits)} mm`;
+}
+
+/**
+ * Middle of the lowest points of a point set (e.g. the tip of a hotend's nozzle)
+ * Two passes: the lowest Y first, then the average of the points within
+ * `tolerance` of it, so the order of the points doesn't matter.
+ * @param {Function} forEachPoint - (callback) => void; calls callback(x, y, z) for
+ *   every point, the same points on each call
+ * @param {number} tolerance - Height (mm) above the lowest point still counted
+ * @returns {number[]|null} Viewer coordinates, null without points
+ */
+export function findLowestCenter(forEachPoint, tolerance) {
+    let lowest = Infinity;
+    forEachPoint((x, y) => {
+        lowest = Math.min(lowest, y);
+    });
+    if (lowest === Infinity) return null;
+
+    const sum = [0, 0, 0];
+    let count = 0;
+    forEachPoint((x, y, z) => {
+        if (y <= lowest + tolerance) {
+            sum[0] += x;
+            sum[1] += y;
+            sum[2] += z;
+            count++;
+        }
+    });
+    return sum.map(value => value / count);
+}
+
+/**
+ * Toolhead dimensions from the manifest reference points and the assembly's bounding box
+ * Offsets and box corners are in printer axes, relative to the carriage origin;
+ * the probe offset is relative to the nozzle, as probe x_offset / y_offset are
+ * entered in firmware. Whatever the points don't give is null (unknown): the
+ * nozzle offset and box corners without an origin, the probe offset without a
+ * probe point.
+ * @param {{origin: number[]|null, nozzleTip: number[]|null, probe: number[]|'nozzle'|null}} points -
+ *   Viewer coordinates (see getReferencePoints in configResolver.js)
+ * @param {{min: number[], max: number[]}|null} box - Assembled bounding box (viewer coordinates)
+ * @returns {{nozzleOffset: number[]|null, probeOffset: number[]|null,
+ *   envelope: {min: number[]|null, max: number[]|null, size: number[]}|null}}
+ */
+export function getToolheadDimensions({ origin, nozzleTip, probe }, box) {
+    let probeOffset = null;
+    if (probe === 'nozzle') {
+        probeOffset = [0, 0, 0];
+    } else if (probe && nozzleTip) {
+        probeOffset = measureDistance(nozzleTip, probe).delta;
+    }
+
+    let envelope = null;
+    if (box) {
+        // Y flips between viewer and printer axes, so corners swap per axis
+        const a = measureDistance(origin || [0, 0, 0], box.min).delta;
+        const b = measureDistance(origin || [0, 0, 0], box.max).delta;
+        const min = a.map((value, i) => Math.min(value, b[i]));
+        const max = a.map((value, i) => Math.max(value, b[i]));
+        envelope = {
+            min: origin ? min : null,
+            max: origin ? max : null,
+            size: max.map((value, i) => value - min[i])
+        };
+    }
+
+    return {
+        nozzleOffset: origin && nozzleTip ? measureDistance(origin, nozzleTip).delta : null,
+        probeOffset,
+        envelope
+    };
+}
+
+function screenDistance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1]);
+}
+
+/**
+ * Snap a picked point to its triangle's vertices or edges when the pointer is close to them
+ * Distances are measured on screen, so snapping feels the same at any zoom.
+ * @param {Object} pick
+ * @param {number[]} pick.pointer - Pointer position [x, y] in pixels
+ * @param {number[]} pick.point - Picked surface point (viewer coordinates)
+ * @param {number[][]} pick.triangle - The picked triangle's three corners (viewer coordinates)
+ * @param {Function} project - (point) => [x, y] pixel position of a viewer point
+ * @param {number} threshold - Snap distance in pixels
+ * @returns {{point: number[], snap: 'vertex'|'edge'|'surface'}}
+ */
+export function snapPoint({ pointer, point, triangle }, project, threshold) {
+    const corners = triangle.map(corner => ({ corner, screen: project(corner) }));
+
+    // Vertices take priority over edges
+    let best = null;
+    for (const { corner, screen } of corners) {
+        const distance = screenDistance(pointer, screen);
+        if (distance <= threshold && (!best || distance < best.distance)) {
+            best = { distance, point: corner };
+        }
+    }
+    if (best) {
+        return { point: [...best.point], snap: 'vertex' };
+    }
+
+    for (let i = 0; i < 3; i++) {
+        const a = corners[i];
+        const b = corners[(i + 1) % 3];
+        const edge = [b.screen[0] - a.screen[0], b.screen[1] - a.screen[1]];
+        const lengthSq = edge[0] ** 2 + edge[1] ** 2;
+        if (lengthSq === 0) continue;
+
+        // Closest point of the edge on screen (a screen-space approximation of the 3D edge point)
+        const t = Math.min(1, Math.max(0,
+            ((pointer[0] - a.screen[0]) * edge[0] + (pointer[1] - a.screen[1]) * edge[1]) / lengthSq));
+        const onScreen = [a.screen[0] + edge[0] * t, a.screen[1] + edge[1] * t];
+        const distance = screenDistance(pointer, onScreen);
+        if (distance <= threshold && (!best || distance < best.distance)) {
+            best = { distance, point: a.corner.map((value, axis) => value + (b.corner[axis] - value) * t) };
+        }
+    }
+    if (best) {
+        return { point: best.point, snap: 'edge' };
+    }
+
+    return { point: [...point], snap: 'surface' };
+}
@@ -40,8 +40,42 @@
  * 
  * Note: OnShape exports in meters; globalScale converts to mm automatically.
  * Transform positions are applied AFTER scaling.
+ * 
+ * EXPLODED VIEW:
+ * --------------
+ * - explode: [x, y, z] on a category - where its parts move at full explode,
+ *   in millimeters from their assembled position (+Y up, +Z toward the front)
+ * 
+ * OPACITY:
+ * --------
+ * - opacity: 0-1 on a category or part - default viewer opacity (1 if not set),
+ *   used for see-through reference models; the viewer's outliner can change it
+ *
+ * REFERENCE POINTS:
+ * -----------------
+ * Assembled positions in millimeters (same frame as transform.position), used
+ * by the Dimensions panel to report offsets in printer axes. Each point has a
+ * comment saying where it was measured; without one the panel shows the
+ * offset as unknown.
+ * - nozzleTip: [x, y, z] on a hotend - the tip of the nozzle. Without it the
+ *   lowest point of the loaded hotend model is used (shown as estimated)
+ * - origin: [x, y, z] on a carriage - the point offsets are measured from: the
+ *   carriage model's own origin unless a better reference is measured
+ *   (no default: without it the nozzle offset is unknown)
+ * - probe: [x, y, z] on a carriage - the probe's trigger point, or "nozzle"
+ *   for nozzle probes (Tap)
+ *
+ * HARDWARE:
+ * ---------
+ * - hardware: { itemId: count } on a category or part - non-printed parts
+ *   needed per printed file (multiplied by its quantity), listed in the
+ *   Hardware BOM. Items are defined in 'hardwareItems' below. A part's
+ *   hardware replaces its category's; use {} for parts that need none
  */
 
+// Shown in the Hotend and Options sections while Crossbow and UHF hotends exclude each other
+const CROSSBOW_UHF_NOTE = 'Crossbow is not officially supported on UHF cowls. Select a different hotend or see <a href="https://github.com/Armchair-Heavy-Industries/Armchair-Usermods/blob/main/files/A4T%20CrossBow" target="_blank">Armchair Usermods GitHub repo</a> for options.';
+
 export const partsManifest = {
     // Increment version when making changes (for cache busting)
     version: "1.1.0",
@@ -58,53 +92,158 @@ export const partsManifest = {
     configOptions: {
         carriage: {
             label: "Carriage",
+            code: "c",  // Short codes (group and option) are used in share URLs - never reuse or change them
             options: [
-                { id: "xol-carriage", label: "Xol-Carriage", default: true },
-                { id: "cw2-tap", label: "CW2 / Tap" }
+                { id: "xol-carriage", code: "xol", label: "Xol-Carriage", default: true },
+                { id: "cw2-tap", code: "tap", label: "CW2 / Tap" }
             ]
         },
         hotend: {
             label: "Hotend",
+            code: "h",
             options: [
-                { id: "dragon", label: "Dragon + MZE", default: true },
-                { id: "dragon-ace", label: "Dragon Ace" },
-                { id: "dragon-uhf-mini", label: "Dragon UHF-Mini" },
-                { id: "dragon-ace-volcano", label: "Dragon Ace Volcano (no MZE)" },
-                { id: "rapido", label: "Rapido HF" },
-                { id: "bambulab", label: "Bambulab" },
-                { id: "chube-compact", label: "Chube Compact" },
-                { id: "revo-voron", label: "Revo Voron" },
-                { id: "revolcano", label: "ReVolcano" },
-                { id: "nf-crazy", label: "NF-Crazy Volcano" },
-                { id: "tz-v6-stock", label: "TZ-V6-2.0 (Stock Nozzle)" },
-                { id: "tz-v6-v6", label: "TZ-V6-2.0 (V6 Nozzle)" },
-                { id: "dragon-uhf", label: "Dragon UHF", noExtruderAdapter: true },
-                { id: "dragon-ace-mze", label: "Dragon Ace + MZE", noExtruderAdapter: true },
-                { id: "dragon-ace-volcano-mze", label: "Dragon Ace Volcano + MZE", noExtruderAdapter: true },
-                { id: "rapido-uhf", label: "Rapido UHF", noExtruderAdapter: true }
+                { id: "dragon", code: "dr", label: "Dragon + MZE", default: true },
+                { id: "dragon-ace", code: "da", label: "Dragon Ace" },
+                { id: "dragon-uhf-mini", code: "dum", label: "Dragon UHF-Mini" },
+                { id: "dragon-ace-volcano", code: "dav", label: "Dragon Ace Volcano (no MZE)" },
+                { id: "rapido", code: "rp", label: "Rapido HF" },
+                { id: "bambulab", code: "bl", label: "Bambulab" },
+                { id: "chube-compact", code: "cc", label: "Chube Compact" },
+                { id: "revo-voron", code: "rv", label: "Revo Voron" },
+                { id: "revolcano", code: "rvo", label: "ReVolcano" },
+                { id: "nf-crazy", code: "nf", label: "NF-Crazy Volcano" },
+                { id: "tz-v6-stock", code: "tzs", label: "TZ-V6-2.0 (Stock Nozzle)" },
+                { id: "tz-v6-v6", code: "tzv", label: "TZ-V6-2.0 (V6 Nozzle)" },
+                { id: "dragon-uhf", code: "du", label: "Dragon UHF", noExtruderAdapter: true },
+                { id: "dragon-ace-mze", code: "dam", label: "Dragon Ace + MZE", noExtruderAdapter: true },
+                { id: "dragon-ace-volcano-mze", code: "davm", label: "Dragon Ace Volcano + MZE", noExtruderAdapter: true },
+                { id: "rapido-uhf", code: "ru", label: "Rapido UHF", noExtruderAdapter: true }
             ]
         },
         extruder: {
             label: "Extruder",
+            code: "e",
+            options: [
+                { id: "wwbmg", code: "bmg", label: "Wrist Watch BMG for A4T", default: true },
+                { id: "sherpa-mini", code: "sm", label: "Sherpa Mini" },
+                { id: "wwg2", code: "g2", label: "Wrist Watch G2" },
+                { id: "orbiter", code: "orb", label: "Orbiter 2.0" },
+                { id: "lgx-lite", code: "lgx", label: "LGX Lite" },
+                { id: "vz-hextrudort", code: "vzh", label: "VZ-Hextrudort" }
+            ]
+        },
+        wwbmgSensors: {
+            label: "Sensor options",
+            code: "s",
+            dependsOn: { extruder: "wwbmg" },  // Only shown (and only matters) for WW-BMG
+            options: [
+                { id: "no-sensors", code: "0", label: "No Sensors", default: true },
+                { id: "single-sensor", code: "1", label: "Single Sensor" },
+                { id: "dual-sensors", code: "2", label: "Dual Sensors" }
+            ]
+        },
+        wwbmgIdler: {
+            label: "Idler options",
+            code: "i",
+            dependsOn: { extruder: "wwbmg" },
             options: [
-                { id: "wwbmg", label: "Wrist Watch BMG for A4T", default: true },
-                { id: "sherpa-mini", label: "Sherpa Mini" },
-                { id: "wwg2", label: "Wrist Watch G2" },
-                { id: "orbiter", label: "Orbiter 2.0" },
-                { id: "lgx-lite", label: "LGX Lite" },
-                { id: "vz-hextrudort", label: "VZ-Hextrudort" }
+                { id: "smooth-bearing", code: "sb", label: "Smooth Bearing", default: true },
+                { id: "bmg-dual-drive", code: "dd", label: "BMG Dual Drive" }
+            ]
+        },
+        toolheadBoard: {
+            label: "Toolhead Board",
+            code: "b",
+            // A board is only available when a printable mount exists for it:
+            // availability is derived from the variants in these categories
+            requiresPart: {
+                categories: ["boardMounts", "toolheadBoardMounts"],
+                label: "mount",
+                except: ["none"]
+            },
+            options: [
+                { id: "none", code: "0", label: "None", default: true },
+                { id: "ebb36-sht36v2", code: "ebb", label: "BTT EBB 36 v1.2 / Fly SHT36v2" },
+                { id: "h36", code: "h36", label: "Fysetc H36" },
+                { id: "nh36", code: "nh36", label: "LDO Nitehawk 36" },
+                { id: "sht36v3", code: "sht3", label: "Fly SHT36v3" },
+                { id: "xol-pcb", code: "xpcb", label: "Xol PCB" }
             ]
         },
         filamentCutter: {
             label: "Filament Cutter",
+            code: "f",
+            input: "checkbox",  // Checked = the non-default option
+            options: [
+                { id: "none", code: "0", label: "None", default: true },
+                { id: "crossbow", code: "cb", label: "Crossbow Filament Cutter" }
+            ]
+        },
+        hexCowl: {
+            label: "Hex Cowl",
+            code: "x",
+            input: "checkbox",
             options: [
-                { id: "none", label: "None", default: true },
-                { id: "crossbow", label: "Crossbow Cutter" }
+                { id: false, code: "0", label: "Standard Cowl", default: true },
+                { id: true, code: "1", label: "Multi-colour Hex Cowl (.3mf)" }
+            ]
+        }
+    },
+    
+    // Sidebar layout - sections are rendered in order from configOptions.
+    // Groups with dependsOn (WW-BMG sensors/idler) are nested under the option they depend on.
+    // Notes: 'showIf' notes follow the config, notes referenced by compatibility rules are
+    // shown while the rule disables options, 'before' places a note above an option.
+    configSections: [
+        { title: "Carriage", keys: ["carriage"] },
+        {
+            title: "Hotend",
+            keys: ["hotend"],
+            notes: [
+                { id: "uhf-crossbow-note", before: "dragon-uhf", html: CROSSBOW_UHF_NOTE }
+            ]
+        },
+        { title: "Extruder", keys: ["extruder"] },
+        {
+            id: "toolhead-board-section",
+            title: "Toolhead Board",
+            keys: ["toolheadBoard"],
+            notes: [
+                {
+                    id: "toolhead-note-tap",
+                    showIf: { carriage: "cw2-tap" },
+                    html: 'Board mounts from A4T are designed for Xol-Carriage only. If using CW2/Tap, source a "36" sized toolhead board mount for your extruder elsewhere.'
+                },
+                {
+                    id: "toolhead-note-xol",
+                    showIf: { carriage: "xol-carriage" },
+                    html: 'Greyed out options indicate a mount hasn\'t been designed for that board/extruder combination yet. You can source one elsewhere, or design one and <a href="https://github.com/Armchair-Heavy-Industries/A4T" target="_blank">submit it to the GitHub</a> as a contribution to the project!'
+                }
+            ]
+        },
+        {
+            title: "Options",
+            keys: ["filamentCutter", "hexCowl"],
+            notes: [
+                { id: "crossbow-uhf-note", html: CROSSBOW_UHF_NOTE }
             ]
         }
+    ],
+    
+    // Share URL migrations - keeps older links resolving after ids change.
+    // Links from before the compact format (v1) store option ids; newer links store codes.
+    shareMigrations: {
+        // Renamed config keys (v1 links): { oldKey: "newKey" }
+        keys: {},
+        // Renamed or removed option ids (v1 links), per config key: { hotend: { "old-id": "new-id" } }
+        options: {},
+        // Codes of removed options, per config key: { hotend: { "old-code": "new-id" } }
+        codes: {}
     },
     
     // Compatibility rules - defines what combinations work together
+    // Each rule is keyed by an option id from configOptions. Rules are symmetric:
+    // selecting either side of a rule disables the other side in the UI.
     compatibility: {
         // Sherpa Mini not compatible with UHF hotends or crossbow cutter (no extruder adapter)
         "sherpa-mini": {
@@ -122,24 +261,36 @@ export const partsManifest = {
         "orbiter": {
             requiresSpacing: true
         },
+        // Crossbow is not officially supported on UHF cowls
+        "crossbow": {
+            incompatibleWith: {
+                hotend: ["dragon-uhf", "dragon-ace-mze", "dragon-ace-volcano-mze", "rapido-uhf"]
+            },
+            warningMessage: "Crossbow is not officially supported on UHF cowls",
+            // Section notes (by element id) shown while this rule disables options of a key
+            notes: {
+                hotend: "uhf-crossbow-note",
+                filamentCutter: "crossbow-uhf-note"
+            }
+        },
         // Dragon UHF only compatible with specific extruders and no extruder adapter
         "dragon-uhf": {
-            compatibleExtruders: ["wwbmg", "wwg2", "orbiter"],
+            compatibleWith: { extruder: ["wwbmg", "wwg2", "orbiter"] },
             noExtruderAdapter: true
         },
         // Dragon Ace + MZE only compatible with specific extruders and no extruder adapter
         "dragon-ace-mze": {
-            compatibleExtruders: ["wwbmg", "wwg2", "orbiter"],
+            compatibleWith: { extruder: ["wwbmg", "wwg2", "orbiter"] },
             noExtruderAdapter: true
         },
         // Dragon Ace Volcano + MZE only compatible with specific extruders and no extruder adapter
         "dragon-ace-volcano-mze": {
-            compatibleExtruders: ["wwbmg", "wwg2", "orbiter"],
+            compatibleWith: { extruder: ["wwbmg", "wwg2", "orbiter"] },
             noExtruderAdapter: true
         },
         // Rapido UHF only compatible with specific extruders and no extruder adapter
         "rapido-uhf": {
-            compatibleExtruders: ["wwbmg", "wwg2", "orbiter"],
+            compatibleWith: { extruder: ["wwbmg", "wwg2", "orbiter"] },
             noExtruderAdapter: true
         }
     },
@@ -152,10 +303,17 @@ export const partsManifest = {
         carriages: {
             category: "Carriage",
             description: "Carriage mount for toolhead",
+            explode: [0, 0, -40],  // Back, away from the toolhead
+            opacity: 0.6,  // Reference model, see-through by default
+            excludeFromDownload: true,  // Carriages come from other sources
+            cardinality: { min: 1, max: 1 },  // Exactly one carriage per configuration
             variants: {
                 "carriage-xol": {
                     file: "Carriages/Xol-Carriage",
                     requires: { carriage: "xol-carriage" },
+                    // images/xol_carriage_screws.png, images/final_screws_back.png
+                    hardware: { "m3-bhcs-hanging": 2, "m3-shcs-back": 2 },
+                    origin: [6.3, 0, -54.5],  // The carriage model's own origin (its transform position)
                     transform: {
                         position: [6.3, 0, -54.5],
                         rotation: [270, 0, 0],
@@ -165,6 +323,11 @@ export const partsManifest = {
                 "carriage-tap": {
                     file: "Carriages/Tap",
                     requires: { carriage: "cw2-tap" },
+                    probe: "nozzle",  // Tap probes with the nozzle
+                    // images/tap_screws.png; only the [cw2-tap] cowlings take inserts
+                    // (images/install_square_nuts.png vs install_square_nuts_xol-carriage.png)
+                    hardware: { "m3-shcs-tap": 2, "m3-insert": 2 },
+                    origin: [0, -45.1, -34.2],  // The carriage model's own origin (its transform position)
                     transform: {
                         position: [0, -45.1, -34.2],
                         rotation: [270, 0, 0],
@@ -180,6 +343,8 @@ export const partsManifest = {
         hotends: {
             category: "Hotend",
             description: "Hotend visual reference model",
+            explode: [0, -45, 0],  // Down out of the cowling
+            opacity: 0.6,
             variants: {
                 "hotend-dragon": {
                     file: "Hotends/dragon",
@@ -245,6 +410,7 @@ export const partsManifest = {
                     file: "Hotends/chube-compact",
                     requires: { hotend: "chube-compact" },
                     visualOnly: true,
+                    nozzleTip: [0, -44.2, -31.4],  // Lowest vertices of Hotends/chube-compact.gltf, assembled
                     transform: {
                         position: [0, -30, -31.4],
                         rotation: [270, 0, 90],
@@ -255,6 +421,7 @@ export const partsManifest = {
                     file: "Hotends/revo-voron",
                     requires: { hotend: "revo-voron" },
                     visualOnly: true,
+                    nozzleTip: [0, -43.5, -31.85],  // Lowest vertices of Hotends/revo-voron.gltf, assembled
                     transform: {
                         position: [0, 0, 0],
                         rotation: [180, 0, 0],
@@ -351,6 +518,8 @@ export const partsManifest = {
         extruders: {
             category: "Extruder",
             description: "Extruder visual reference model",
+            explode: [0, 70, 0],  // Up, above the extruder adapter
+            opacity: 0.6,
             variants: {
                 "extruder-sherpa-mini": {
                     file: "Extruders/sherpa-mini",
@@ -411,6 +580,8 @@ export const partsManifest = {
         wwbmg: {
             category: "WW-BMG",
             description: "Wrist Watch BMG extruder model",
+            explode: [0, 70, 0],
+            excludeFromDownload: true,  // STL files are listed in stlOnlyParts.wwbmgExtruder
             variants: {
                 // No Sensors without Crossbow
                 "wwbmg-no-sensors": {
@@ -465,6 +636,18 @@ export const partsManifest = {
         cowlings: {
             category: "Cowling",
             description: "Main toolhead body",
+            explode: [0, 0, 50],  // Forward, off the hotend
+            cardinality: { min: 1, max: 1 },  // Exactly one cowling per configuration
+            // Nuts in the top slots (images/install_square_nuts*.png), fans
+            // (images/install_4010s.png, 2510_install1.png), the two front LEDs
+            // (images/LED_wiring_order.jpg) and the wiring tie (images/cable_tie_slots.png)
+            hardware: {
+                "m3-square-nut": 2,
+                "fan-4010-blower": 2,
+                "fan-2510": 1,
+                "led-neopixel": 2,
+                "cable-tie": 1
+            },
             variants: {
                 // Dragon/Rapido HF (and Dragon Ace, UHF-Mini, Ace Volcano)
                 "cowling-dragon-rapido-xol": {
@@ -816,6 +999,9 @@ export const partsManifest = {
         hotendDucts: {
             category: "Hotend Fan Duct",
             description: "2510 fan mount and airflow duct",
+            explode: [0, 0, 25],  // Forward, between hotend and cowling
+            cardinality: { min: 1, max: 1 },
+            hardware: { "m3-shcs-front": 2 },  // Lower front screws, images/final_screws_front.png
             variants: {
                 "duct-dragon": {
                     file: "Hotend Fan Ducts/A4T HE Fan Duct - Dragon",
@@ -925,6 +1111,8 @@ export const partsManifest = {
         hotendSpacers: {
             category: "Hotend Spacer",
             description: "Spacers for specific hotend configurations",
+            explode: [0, -20, 0],
+            excludeFromDownload: true,  // Included in the HE Duct STL, separate model for visualization only
             variants: {
                 "spacer-tzv6-stock": {
                     file: "Hotend Fan Ducts/A4T HE Duct - TZ-V6-2.0 [Stock Nozzle] - Spacer",
@@ -944,6 +1132,10 @@ export const partsManifest = {
         extruderAdapters: {
             category: "Extruder Adapter",
             description: "Connects extruder to cowling",
+            explode: [0, 35, 0],  // Up, between cowling and extruder
+            // One adapter or Crossbow holder (skipped entirely for noExtruderAdapter extruders/hotends)
+            cardinality: { min: 1, max: 1 },
+            hardware: { "m3-bhcs-extruder": 2 },  // images/attach_extruder.png
             variants: {
                 "adapter-wwbmg-xol": {
                     file: "Extruder Adapters/A4T - WWBMG - Extruder Adapter [xol-carriage]",
@@ -1081,6 +1273,8 @@ export const partsManifest = {
                     file: "Extruder Adapters/CrossbowAssembly",
                     requires: { filamentCutter: "crossbow" },
                     visualOnly: true,  // Don't include in STL downloads
+                    opacity: 0.6,  // Reference model like the carriage
+                    hardware: {},  // Comes with the Crossbow's own BOM
                     transform: {
                         position: [0, 22.6, -31.9],
                         rotation: [-90, 0, 0],
@@ -1179,6 +1373,9 @@ export const partsManifest = {
         boardMounts: {
             category: "Toolhead Board Mount",
             description: "Mount for CAN toolhead board",
+            explode: [0, 45, -30],  // Up and back
+            // images/thb_third_screw.png, images/Extruder_standoffs_thb.png
+            hardware: { "m3-shcs-thb": 1, "m3-standoff": 2 },
             variants: {
                 "thb-lgx-ebb36-render": {
                     file: "Toolhead Board Mounts/A4T - THB Mount - LGX-L",
@@ -1218,6 +1415,7 @@ export const partsManifest = {
                 },
                 "thb-wwbmg-nh36-render": {
                     file: "Toolhead Board Mounts/A4T - THB Mount - WWBMG - NH36",
+                    stlPath: "Toolhead Board Mounts/A4T - THB Mount - WWBMG - NH36.STL",
                     requires: { extruder: "wwbmg", toolheadBoard: "nh36", carriage: "xol-carriage" },
                     transform: {
                         position: [8.3, 56.6, -66.9],
@@ -1227,6 +1425,7 @@ export const partsManifest = {
                 },
                 "thb-wwbmg-sht36v3-render": {
                     file: "Toolhead Board Mounts/A4T - THB Mount - WWBMG - SHT36v3",
+                    stlPath: "Toolhead Board Mounts/A4T - THB Mount - WWBMG SHT36v3.stl",
                     requires: { extruder: "wwbmg", toolheadBoard: "sht36v3", carriage: "xol-carriage" },
                     transform: {
                         position: [7.6, 45.5, -66.9],
@@ -1314,6 +1513,7 @@ export const partsManifest = {
                 "led-carrier": {
                     stlFile: "LED Holder + Filter/A4T LED Carrier.stl",
                     quantity: 1,
+                    hardware: { "led-neopixel": 1 },
                     requires: {}  // No requirements - always included
                 },
                 "led-diffuser": {
@@ -1337,6 +1537,7 @@ export const partsManifest = {
         toolheadBoardMounts: {
             category: "Toolhead Board Mount",
             description: "Mount for CAN toolhead board",
+            excludeFromDownload: true,  // Downloaded via the rendered boardMounts variants
             variants: {
                 // BTT EBB 36 v1.2 / Fly SHT36v2 (standard boards)
                 "thb-wwbmg-ebb36": {
@@ -1477,7 +1678,8 @@ export const partsManifest = {
                 // Smooth Bearing Idler
                 "wwbmg-tensionarm-smooth": {
                     stlFile: "WW-BMG for A4T/Tension Arm/A4T - WWBMG - Beefy_Tension_Arm - Smooth_Idler.stl",
-                    requires: { extruder: "wwbmg", wwbmgIdler: "smooth-bearing" }
+                    requires: { extruder: "wwbmg", wwbmgIdler: "smooth-bearing" },
+                    hardware: { "idler-bearing": 1 }
                 },
                 // BMG Dual Drive Idler
                 "wwbmg-tensionarm-bmg": {
@@ -1495,5 +1697,85 @@ export const partsManifest = {
         extruderAdapters: 0x2a2a2a, // Match cowling
         ledHolders: 0xeeeeee,       // White/light for LED diffuser
         boardMounts: 0x2a2a2a       // Dark gray
+    },
+    
+    // Non-printed parts for the Hardware BOM, referenced by `hardware` on categories and parts.
+    // One item per screw size: screws are listed per joint, so each item is a single length.
+    // screw: true marks screws; their length (mm) is only set where the assembly guide gives
+    // it - the BOM says "see assembly guide" otherwise. Counts cite the guide's images (docs/images) they were taken from.
+    hardwareItems: {
+        "m3-bhcs-hanging": { label: "M3 button head screw - carriage hanging screws", group: "Fasteners", screw: true },
+        "m3-shcs-back": { label: "M3 socket head screw - back screws", group: "Fasteners", screw: true },
+        "m3-shcs-tap": { label: "M3 socket head screw - Tap mount", group: "Fasteners", screw: true },
+        "m3-shcs-front": { label: "M3 socket head screw - lower front screws", group: "Fasteners", screw: true },
+        "m3-bhcs-extruder": { label: "M3 button head screw - extruder to cowling", group: "Fasteners", screw: true },
+        "m3-shcs-thb": { label: "M3 socket head screw - board mount third screw", group: "Fasteners", screw: true },
+        "m3-insert": { label: "M3 heat-set insert", group: "Fasteners" },
+        "m3-square-nut": { label: "M3 square nut", group: "Fasteners" },
+        "m3-standoff": { label: "M3 standoff", group: "Fasteners" },
+        "fan-4010-blower": { label: "4010 blower fan", group: "Fans" },
+        "fan-2510": { label: "2510 axial fan", group: "Fans" },
+        "led-neopixel": { label: "Neopixel LED (mini PCB)", group: "Electronics" },
+        "idler-bearing": { label: "Smooth idler bearing", group: "Motion" },
+        "cable-tie": { label: "Cable tie", group: "Other" }
+    },
+    
+    // Klipper config snippets (Firmware export, see firmwareConfig.js), keyed by option id.
+    // Options without an entry get <placeholders> in the snippet instead of guessed values.
+    firmware: {
+        // [extruder] defaults per extruder (gearRatio only for geared extruders)
+        extruders: {
+            "wwbmg": { rotationDistance: 22.6789511, gearRatio: "50:17", maxExtrudeOnlyDistance: 100 },
+            "sherpa-mini": { rotationDistance: 22.6789511, gearRatio: "50:10", maxExtrudeOnlyDistance: 100 },
+            "wwg2": { rotationDistance: 47.088, gearRatio: "9:1", maxExtrudeOnlyDistance: 100 },
+            "orbiter": { rotationDistance: 4.637, maxExtrudeOnlyDistance: 100 },
+            "lgx-lite": { rotationDistance: 5.57, maxExtrudeOnlyDistance: 100 }
+            // No "vz-hextrudort" yet: without published defaults to copy, its
+            // [extruder] section is left as <placeholders>
+        },
+        // Toolhead board MCU and pin map: mcu.name prefixes the pins, mcu.connection
+        // ("canbus" or "usb") picks canbus_uuid or serial. Pins: fan, hotendFan and
+        // filamentSensors (one per sensor, in firmware.filamentSensors order).
+        // passive: true for breakout boards without an MCU (wired to the main board,
+        // so there is no [mcu] section). Boards without an entry (H36, SHT36 v3) get
+        // an [mcu toolhead] section with placeholders.
+        boards: {
+            "ebb36-sht36v2": {
+                mcu: { name: "EBBCan", connection: "canbus" },
+                // FAN1 / FAN2, as in Klipper's sample-bigtreetech-ebb-canbus-v1.2.cfg
+                pins: { fan: "PA0", hotendFan: "PA1" },
+                note: "Pins of the BTT EBB36 v1.2 - the Fly SHT36 v2 has its own pinout"
+            },
+            "nh36": {
+                mcu: { name: "nhk", connection: "usb" },
+                pins: { fan: "gpio6", hotendFan: "gpio5" }
+            },
+            "xol-pcb": {
+                passive: true,
+                note: "Breakout board - the fans and sensors are wired to the main board"
+            }
+        },
+        // Filament switch sensors per WW-BMG sensor option
+        filamentSensors: {
+            "single-sensor": [
+                { name: "toolhead_filament", label: "WW-BMG filament sensor" }
+            ],
+            "dual-sensors": [
+                { name: "toolhead_filament_1", label: "WW-BMG filament sensor 1" },
+                { name: "toolhead_filament_2", label: "WW-BMG filament sensor 2" }
+            ]
+        },
+        // Cutter macro stubs per filament cutter option
+        filamentCutters: {
+            "crossbow": {
+                macro: "CUT_FILAMENT",
+                description: "Cut the filament with the Crossbow cutter",
+                gcode: [
+                    "# Move the toolhead so the Crossbow lever hits its stop and cuts,",
+                    "# then back off - positions depend on your printer",
+                    '{action_respond_info("CUT_FILAMENT is a stub: add the moves for your printer")}'
+                ]
+            }
+        }
     }
 };
@@ -0,0 +1,265 @@
+/**
+ * A4T Saved Builds
+ * ================
+ *
+ * Named configurations ("My builds") kept in localStorage so they survive
+ * closing the tab, plus the JSON file format used to import and export the
+ * whole collection.
+ *
+ * FORMAT:
+ * -------
+ *   {
+ *     "format": "a4t-builds",
+ *     "version": 1,
+ *     "builds": [
+ *       { "id": "...", "name": "Dragon + Sherpa", "modified": 1760000000000,
+ *         "config": { "carriage": "xol", ... }, "mainColor": 4473924, "accentColor": 10890283 }
+ *     ]
+ *   }
+ *
+ * The same structure is stored under `a4t-builds` and written to export files.
+ * A stored collection that can't be read is never overwritten (see readBuilds).
+ * Builds store raw config ids like the session state; they are validated by
+ * stateValidation.js when a build is loaded, not here.
+ *
+ * Every function returns a new array - callers write it back with writeBuilds().
+ * This module has no DOM or Three.js dependencies.
+ */
+
+export const BUILDS_STORAGE_KEY = 'a4t-builds';
+// Unreadable collections are moved to this prefix + an ISO timestamp (see backupBuilds)
+export const BUILDS_BACKUP_PREFIX = 'a4t-builds-backup-';
+export const BUILDS_FORMAT = 'a4t-builds';
+export const BUILDS_FORMAT_VERSION = 1;
+
+/**
+ * Generate an id for a new build (unique within the collection, not globally)
+ */
+function createId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Check the shape of a stored/imported build
+ * Option values and colors are left to stateValidation.js
+ */
+function isBuild(value) {
+    return !!value && typeof value === 'object' &&
+        typeof value.name === 'string' && value.name.trim() !== '' &&
+        !!value.config && typeof value.config === 'object';
+}
+
+/**
+ * Copy the fields a build is made of (drops anything else in the source object)
+ */
+function toBuild(source, overrides = {}) {
+    return {
+        id: source.id,
+        name: source.name.trim(),
+        modified: Number.isFinite(source.modified) ? source.modified : Date.now(),
+        config: { ...source.config },
+        mainColor: source.mainColor,
+        accentColor: source.accentColor,
+        ...overrides
+    };
+}
+
+/**
+ * Return `name`, or `name (2)`, `name (3)`... if a build already uses it
+ * @param {Array} builds
+ * @param {string} name
+ * @param {string} [ignoreId] - Build whose own name doesn't count (renaming)
+ */
+export function getUniqueName(builds, name, ignoreId = null) {
+    const base = name.trim();
+    const taken = new Set(builds.filter(b => b.id !== ignoreId).map(b => b.name.toLowerCase()));
+    if (!taken.has(base.toLowerCase())) return base;
+
+    let n = 2;
+    while (taken.has(`${base} (${n})`.toLowerCase())) n++;
+    return `${base} (${n})`;
+}
+
+/**
+ * Find a build by name (case-insensitive)
+ */
+export function findBuildByName(builds, name) {
+    const wanted = name.trim().toLowerCase();
+    return builds.find(b => b.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create a build from the shareable state (config + colors)
+ * @param {string} name
+ * @param {{config: Object, mainColor: number, accentColor: number}} shareableState
+ */
+export function createBuild(name, shareableState) {
+    return toBuild({ ...shareableState, name }, { id: createId(), modified: Date.now() });
+}
+
+/**
+ * Update a build (new name and/or state) and bump its modified time
+ * @param {Object} changes - Any of name, config, mainColor, accentColor
+ */
+export function updateBuild(builds, id, changes) {
+    return builds.map(b => (b.id === id ? toBuild({ ...b, ...changes }, { id, modified: Date.now() }) : b));
+}
+
+/**
+ * Copy a build under a new name ("<name> (copy)")
+ */
+export function duplicateBuild(builds, id) {
+    const source = builds.find(b => b.id === id);
+    if (!source) return builds;
+
+    const name = getUniqueName(builds, `${source.name} (copy)`);
+    return [...builds, toBuild(source, { id: createId(), name, modified: Date.now() })];
+}
+
+export function deleteBuild(builds, id) {
+    return builds.filter(b => b.id !== id);
+}
+
+/**
+ * Most recently modified first
+ */
+export function sortBuilds(builds) {
+    return [...builds].sort((a, b) => b.modified - a.modified);
+}
+
+// ============================================
+// Import / Export
+// ============================================
+
+/**
+ * Serialize the collection (storage and export files)
+ */
+export function serializeBuilds(builds) {
+    return JSON.stringify({
+        format: BUILDS_FORMAT,
+        version: BUILDS_FORMAT_VERSION,
+        builds: builds.map(b => toBuild(b))
+    }, null, 2);
+}
+
+/**
+ * Parse a builds file
+ * @param {string} text - File contents
+ * @returns {{builds: Array, skipped: number}} skipped = entries that aren't builds
+ * @throws {Error} If the text isn't a builds file of a supported version
+ */
+export function parseBuilds(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON');
+    }
+
+    if (!data || data.format !== BUILDS_FORMAT || !Array.isArray(data.builds)) {
+        throw new Error('The file is not an A4T builds export');
+    }
+    if (data.version !== BUILDS_FORMAT_VERSION) {
+        throw new Error(`Unsupported builds format version: ${data.version}`);
+    }
+
+    const builds = data.builds.filter(isBuild).map(b => toBuild(b, { id: typeof b.id === 'string' ? b.id : createId() }));
+    return { builds, skipped: data.builds.length - builds.length };
+}
+
+/**
+ * Add imported builds to the collection
+ * Imports never overwrite: each imported build gets a new id and a unique name.
+ */
+export function mergeBuilds(builds, imported) {
+    let merged = builds;
+    for (const build of imported) {
+        const name = getUniqueName(merged, build.name);
+        merged = [...merged, toBuild(build, { id: createId(), name })];
+    }
+    return merged;
+}
+
+// ============================================
+// Storage
+// ============================================
+
+/**
+ * Check whether a stored collection was written by a newer version of the format
+ */
+function isNewerFormat(stored) {
+    try {
+        const version = JSON.parse(stored)?.version;
+        return Number.isFinite(version) && version > BUILDS_FORMAT_VERSION;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Check why a stored collection can't be read
+ * @returns {{reason: 'corrupt'|'newer', message: string}|null} null if it parses
+ */
+function getUnreadableReason(stored) {
+    try {
+        parseBuilds(stored);
+        return null;
+    } catch (e) {
+        return { reason: isNewerFormat(stored) ? 'newer' : 'corrupt', message: e.message };
+    }
+}
+
+/**
+ * Read the collection from storage
+ * A stored collection that can't be read - corrupt, or written by a newer version
+ * of the configurator - is left in storage and reported in `unreadable`;
+ * writeBuilds refuses to replace it until it is moved away with backupBuilds.
+ * @param {Storage} [storage] - Defaults to localStorage
+ * @returns {{builds: Array, unreadable: {reason: 'corrupt'|'newer', message: string}|null}}
+ */
+export function readBuilds(storage = globalThis.localStorage) {
+    let stored;
+    try {
+        stored = storage.getItem(BUILDS_STORAGE_KEY);
+    } catch (e) {
+        // Storage disabled: nothing to lose, saving will report it
+        console.warn('Failed to read saved builds:', e);
+        return { builds: [], unreadable: null };
+    }
+    if (!stored) {
+        return { builds: [], unreadable: null };
+    }
+
+    const unreadable = getUnreadableReason(stored);
+    if (unreadable) {
+        console.warn('Failed to read saved builds:', unreadable.message);
+        return { builds: [], unreadable };
+    }
+    return { builds: parseBuilds(stored).builds, unreadable: null };
+}
+
+/**
+ * Move an unreadable stored collection to a backup key, so new builds can be saved
+ * @returns {string} The backup key (BUILDS_BACKUP_PREFIX + timestamp)
+ * @throws {Error} If storage is unavailable or full (the collection stays where it was)
+ */
+export function backupBuilds(storage = globalThis.localStorage) {
+    const key = BUILDS_BACKUP_PREFIX + new Date().toISOString();
+    storage.setItem(key, storage.getItem(BUILDS_STORAGE_KEY));
+    storage.removeItem(BUILDS_STORAGE_KEY);
+    return key;
+}
+
+/**
+ * Write the collection to storage
+ * @throws {Error} If storage is unavailable or full, or holds a collection that
+ *   can't be read (see readBuilds) - it is never overwritten
+ */
+export function writeBuilds(builds, storage = globalThis.localStorage) {
+    const stored = storage.getItem(BUILDS_STORAGE_KEY);
+    const unreadable = stored ? getUnreadableReason(stored) : null;
+    if (unreadable) {
+        throw new Error(`The stored builds can't be read and would be overwritten (${unreadable.message})`);
+    }
+    storage.setItem(BUILDS_STORAGE_KEY, serializeBuilds(builds));
+}
@@ -0,0 +1,299 @@
+/**
+ * A4T Scene Export
+ * ================
+ *
+ * Exports the assembled toolhead from the 3D viewer - the part models in
+ * `modelGroup` with their manifest transforms and current materials:
+ *   - GLB: one node per part (named after its part id), metres, Y up
+ *   - STL: all parts merged into one mesh, print-unit millimetres, Z up
+ *   - 3MF: one object per part with its color, millimetres, Z up
+ *
+ * Parts are exported assembled and shown, whatever the viewer's explode amount
+ * or outliner visibility.
+ * Reference models (`visualOnly` parts: hotends, extruders, crossbow) can be
+ * left out. The 3MF package is written with the global JSZip (index.html).
+ *
+ * The toolhead dimensions (nozzle and probe offsets, bounding box - see
+ * getToolheadDimensions in measurements.js) can be passed as `dimensions`;
+ * GLB writes them to the root node's extras, 3MF to its model metadata.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+import { partsManifest } from './partsManifest.js';
+
+const THREEMF_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+const THREEMF_MODEL_PATH = '3D/3dmodel.model';
+const THREEMF_MATERIALS_ID = 1;  // Resource id of the base materials (objects start at 2)
+const THREEMF_A4T_NAMESPACE = 'https://github.com/Armchair-Heavy-Industries/A4T';  // Custom metadata names
+
+/**
+ * Dimensions as plain rounded values (mm), leaving out what isn't known
+ * @returns {Object} Keys nozzleOffset, probeOffset, envelopeMin, envelopeMax, envelopeSize
+ */
+function getDimensionValues(dimensions) {
+    const round = vector => vector.map(value => Math.round(value * 100) / 100);
+    const values = {
+        nozzleOffset: dimensions?.nozzleOffset,
+        probeOffset: dimensions?.probeOffset,
+        envelopeMin: dimensions?.envelope?.min,
+        envelopeMax: dimensions?.envelope?.max,
+        envelopeSize: dimensions?.envelope?.size
+    };
+    return Object.fromEntries(
+        Object.entries(values).filter(([, vector]) => vector).map(([key, vector]) => [key, round(vector)])
+    );
+}
+
+/**
+ * Part models to export
+ * @param {THREE.Group} modelGroup - Group holding one model per part (userData = part data)
+ * @param {{includeVisualOnly?: boolean}} options
+ */
+function getExportModels(modelGroup, { includeVisualOnly = true } = {}) {
+    return modelGroup.children.filter(model => includeVisualOnly || !model.userData.visualOnly);
+}
+
+/**
+ * Copy of a part model at its assembled position (undoes the exploded view and
+ * outliner hiding)
+ */
+function cloneAssembled(model) {
+    const node = model.clone();
+    node.name = model.name;
+    node.visible = true;
+    if (model.userData.assembledPosition) {
+        node.position.copy(model.userData.assembledPosition);
+    }
+    return node;
+}
+
+/**
+ * Replace the per-mesh materials of an exported copy with one material per look
+ * The viewer gives every mesh its own material (see applyMaterial in app.js),
+ * which would otherwise write one glTF material per mesh.
+ */
+function shareMaterials(root) {
+    const materials = new Map();
+    root.traverse((child) => {
+        if (!child.isMesh || Array.isArray(child.material)) return;
+
+        const source = child.material;
+        const hex = source.color.getHexString();
+        const key = [hex, source.opacity, source.metalness, source.roughness].join('|');
+        if (!materials.has(key)) {
+            const material = source.clone();
+            material.name = `#${hex}` + (source.opacity < 1 ? ` (${Math.round(source.opacity * 100)}%)` : '');
+            material.wireframe = false;
+            material.emissive.setHex(0x000000);  // Viewer selection tint
+            materials.set(key, material);
+        }
+        child.material = materials.get(key);
+    });
+}
+
+/**
+ * Export the assembly as binary glTF (GLB)
+ * glTF is specified in metres, so the root node undoes `globalScale` (the viewer works in mm).
+ * Dimensions stay in mm and printer axes, as shown in the configurator.
+ * @param {THREE.Group} modelGroup
+ * @param {{includeVisualOnly?: boolean, dimensions?: Object}} [options]
+ * @returns {Promise<ArrayBuffer|null>} null if there is nothing to export
+ */
+export async function exportGlb(modelGroup, options = {}) {
+    const models = getExportModels(modelGroup, options);
+    if (models.length === 0) return null;
+
+    const root = new THREE.Group();
+    root.name = 'A4T Toolhead';
+    root.scale.setScalar(1 / (partsManifest.globalScale || 1));
+    const dimensions = getDimensionValues(options.dimensions);
+    if (Object.keys(dimensions).length > 0) {
+        root.userData = { dimensions };
+    }
+
+    for (const model of models) {
+        // Shares geometry with the viewer; only the part id goes into extras
+        const node = cloneAssembled(model);
+        node.userData = { partId: model.userData.id, category: model.userData.category };
+        root.add(node);
+    }
+    shareMaterials(root);
+
+    const exporter = new GLTFExporter();
+    return exporter.parseAsync(root, { binary: true, onlyVisible: true });
+}
+
+// ============================================
+// Mesh export (STL / 3MF)
+// ============================================
+
+/**
+ * Copy of the assembly for mesh formats
+ * The viewer already works in mm (models carry `globalScale`); the copy is turned
+ * Z-up for slicers and mesh tools, and hidden meshes (hex cowl supports) are dropped.
+ * @returns {THREE.Group} Root with one child per part, world matrices updated
+ */
+function createMeshExportRoot(modelGroup, options) {
+    const root = new THREE.Group();
+    root.rotation.x = Math.PI / 2;  // Y up -> Z up
+
+    for (const model of getExportModels(modelGroup, options)) {
+        root.add(cloneAssembled(model));
+    }
+
+    const hidden = [];
+    root.traverse((child) => {
+        if (child !== root && !child.visible) hidden.push(child);
+    });
+    hidden.forEach(child => child.removeFromParent());
+
+    root.updateMatrixWorld(true);
+    return root;
+}
+
+/**
+ * Export the assembly as one binary STL mesh (mm)
+ * @returns {ArrayBuffer|null} null if there is nothing to export
+ */
+export function exportStl(modelGroup, options = {}) {
+    const root = createMeshExportRoot(modelGroup, options);
+    if (root.children.length === 0) return null;
+
+    return new STLExporter().parse(root, { binary: true }).buffer;
+}
+
+function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function formatCoordinate(value) {
+    return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Append a mesh's triangles in root coordinates to a 3MF object
+ * @param {THREE.Mesh} mesh
+ * @param {{vertices: string[], triangles: string[]}} object
+ * @param {string} materialAttrs - pid/p1 attributes for the mesh's color ('' for the object default)
+ */
+function appendMesh(mesh, object, materialAttrs) {
+    const position = mesh.geometry.getAttribute('position');
+    const index = mesh.geometry.index;
+    const offset = object.vertices.length;
+    const vertex = new THREE.Vector3();
+
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+        object.vertices.push(`<vertex x="${formatCoordinate(vertex.x)}" y="${formatCoordinate(vertex.y)}" z="${formatCoordinate(vertex.z)}"/>`);
+    }
+
+    // Mirroring transforms flip the winding order
+    const flip = mesh.matrixWorld.determinant() < 0;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i += 3) {
+        const a = offset + (index ? index.getX(i) : i);
+        let b = offset + (index ? index.getX(i + 1) : i + 1);
+        let c = offset + (index ? index.getX(i + 2) : i + 2);
+        if (flip) [b, c] = [c, b];
+        if (a === b || b === c || a === c) continue;  // 3MF forbids degenerate triangles
+        object.triangles.push(`<triangle v1="${a}" v2="${b}" v3="${c}"${materialAttrs}/>`);
+    }
+}
+
+/**
+ * Build the 3MF model XML: one object per part, colors as base materials
+ * @param {THREE.Group} root - See createMeshExportRoot
+ * @param {Object} dimensions - See getDimensionValues, written as "x,y,z" metadata
+ */
+function build3mfModel(root, dimensions) {
+    const colors = [];  // Hex colors, index = base material index
+    const getColorIndex = (material) => {
+        const hex = material.color.getHexString().toUpperCase();
+        if (!colors.includes(hex)) colors.push(hex);
+        return colors.indexOf(hex);
+    };
+
+    const objects = [];
+    for (const model of root.children) {
+        const object = { name: model.name, vertices: [], triangles: [], colorIndex: null };
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            const material = Array.isArray(child.material) ? child.material[0] : child.material;
+            const colorIndex = getColorIndex(material);
+            if (object.colorIndex === null) object.colorIndex = colorIndex;
+
+            const materialAttrs = colorIndex === object.colorIndex ? '' : ` pid="${THREEMF_MATERIALS_ID}" p1="${colorIndex}"`;
+            appendMesh(child, object, materialAttrs);
+        });
+
+        if (object.triangles.length > 0) {
+            objects.push(object);
+        }
+    }
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<model unit="millimeter" xml:lang="en-US" xmlns="${THREEMF_NAMESPACE}" xmlns:a4t="${THREEMF_A4T_NAMESPACE}">`,
+        '<metadata name="Application">A4T Configurator</metadata>',
+        ...Object.entries(dimensions).map(([key, vector]) => `<metadata name="a4t:${key}">${vector.join(',')}</metadata>`),
+        '<resources>',
+        `<basematerials id="${THREEMF_MATERIALS_ID}">`,
+        ...colors.map(hex => `<base name="#${hex}" displaycolor="#${hex}FF"/>`),
+        '</basematerials>'
+    ];
+    objects.forEach((object, i) => {
+        lines.push(
+            `<object id="${i + 2}" type="model" name="${escapeXml(object.name)}" pid="${THREEMF_MATERIALS_ID}" pindex="${object.colorIndex}">`,
+            '<mesh>',
+            '<vertices>', ...object.vertices, '</vertices>',
+            '<triangles>', ...object.triangles, '</triangles>',
+            '</mesh>',
+            '</object>'
+        );
+    });
+    lines.push(
+        '</resources>',
+        '<build>',
+        ...objects.map((object, i) => `<item objectid="${i + 2}"/>`),
+        '</build>',
+        '</model>'
+    );
+
+    return { xml: lines.join('\n'), objectCount: objects.length };
+}
+
+/**
+ * Export the assembly as a 3MF package with one object per part (mm)
+ * @returns {Promise<Blob|null>} null if there is nothing to export
+ */
+export async function export3mf(modelGroup, options = {}) {
+    const root = createMeshExportRoot(modelGroup, options);
+    const { xml, objectCount } = build3mfModel(root, getDimensionValues(options.dimensions));
+    if (objectCount === 0) return null;
+
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+        '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>',
+        '</Types>'
+    ].join('\n'));
+    zip.file('_rels/.rels', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+        `<Relationship Target="/${THREEMF_MODEL_PATH}" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>`,
+        '</Relationships>'
+    ].join('\n'));
+    zip.file(THREEMF_MODEL_PATH, xml);
+
+    return zip.generateAsync({
+        type: 'blob',
+        mimeType: 'model/3mf',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+    });
+}
@@ -0,0 +1,172 @@
+/**
+ * A4T Section View
+ * ================
+ *
+ * Cuts the viewer's models with one axis-aligned clipping plane and fills the
+ * cut faces ("caps") so ducts and cowlings read as solid walls instead of
+ * hollow shells.
+ *
+ * Caps use the stencil buffer: for each clipped part, the back faces of its
+ * meshes increment and the front faces decrement the stencil value, which
+ * leaves non-zero stencil exactly where the plane passes through the inside of
+ * the part. A plane drawn there, in the part's color, closes the cut. The
+ * meshes must be closed (all parts are, as they come from printable solids).
+ *
+ * The app sets the same plane on the clipped parts' materials
+ * (material.clippingPlanes) and keeps the caps in a group of the same scene.
+ */
+
+import * as THREE from 'three';
+
+export const SECTION_AXES = {
+    x: new THREE.Vector3(1, 0, 0),
+    y: new THREE.Vector3(0, 1, 0),
+    z: new THREE.Vector3(0, 0, 1)
+};
+
+// Caps render after all models (renderOrder 0)
+const CAP_RENDER_ORDER = 1;
+
+/**
+ * Point a clipping plane along an axis
+ * Clipping removes the side the axis points to (the other side with `flipped`).
+ * @param {THREE.Plane} plane - Updated in place
+ * @param {string} axis - 'x', 'y' or 'z'
+ * @param {number} position - Where the plane crosses the axis (mm)
+ * @param {boolean} [flipped]
+ */
+export function setSectionPlane(plane, axis, position, flipped = false) {
+    const normal = SECTION_AXES[axis].clone().multiplyScalar(flipped ? 1 : -1);
+    plane.setFromNormalAndCoplanarPoint(normal, SECTION_AXES[axis].clone().multiplyScalar(position));
+    return plane;
+}
+
+function createStencilMaterial(plane, side, operation) {
+    return new THREE.MeshBasicMaterial({
+        side,
+        clippingPlanes: [plane],
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: operation,
+        stencilZFail: operation,
+        stencilZPass: operation
+    });
+}
+
+function createCapMaterial(color) {
+    return new THREE.MeshStandardMaterial({
+        color,
+        metalness: 0.1,
+        roughness: 0.7,
+        side: THREE.DoubleSide,
+        stencilWrite: true,
+        stencilRef: 0,
+        stencilFunc: THREE.NotEqualStencilFunc,
+        stencilFail: THREE.ReplaceStencilOp,
+        stencilZFail: THREE.ReplaceStencilOp,
+        stencilZPass: THREE.ReplaceStencilOp
+    });
+}
+
+/**
+ * Build caps for the models of a group
+ * @param {THREE.Group} group - Group with one model per part
+ * @param {THREE.Plane} plane
+ * @param {Function} isClipped - (model) => boolean, whether the plane cuts the model
+ * @param {Function} getCapColor - (model) => color of the model's cut face
+ * @returns {THREE.Group} Caps group; add it to the scene and call updateSectionCaps before rendering
+ */
+export function buildSectionCaps(group, plane, isClipped, getCapColor) {
+    const caps = new THREE.Group();
+    caps.userData.entries = [];
+    const capGeometry = new THREE.PlaneGeometry(1, 1);  // Scaled to each part
+    const backMaterial = createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+    const frontMaterial = createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+    let order = CAP_RENDER_ORDER;
+
+    for (const model of group.children) {
+        if (!isClipped(model)) continue;
+
+        const stencils = [];
+        model.traverse((mesh) => {
+            // Hidden sub-meshes (hex cowl supports) stay hidden
+            if (!mesh.isMesh || !mesh.visible) return;
+
+            for (const material of [backMaterial, frontMaterial]) {
+                const stencil = new THREE.Mesh(mesh.geometry, material);
+                // Follows the mesh's world transform (see updateSectionCaps)
+                stencil.matrixAutoUpdate = false;
+                stencil.renderOrder = order;
+                caps.add(stencil);
+                stencils.push({ mesh, stencil });
+            }
+        });
+        if (stencils.length === 0) continue;
+
+        // The cap only shows where the stencil is set; it just has to cover the part
+        const sphere = new THREE.Box3().setFromObject(model).getBoundingSphere(new THREE.Sphere());
+        const cap = new THREE.Mesh(capGeometry, createCapMaterial(getCapColor(model)));
+        cap.scale.setScalar(sphere.radius * 2);
+        cap.renderOrder = order + 0.5;
+        order++;
+
+        // Each part's cap uses only its own stencil values
+        cap.onAfterRender = (renderer) => renderer.clearStencil();
+        caps.add(cap);
+
+        caps.userData.entries.push({
+            model,
+            stencils,
+            cap,
+            centerOffset: sphere.center.sub(model.position)  // Parts only move, never turn (exploded view)
+        });
+    }
+
+    Object.assign(caps.userData, { plane, capGeometry, backMaterial, frontMaterial });
+    return caps;
+}
+
+function isShown(object) {
+    for (let o = object; o; o = o.parent) {
+        if (!o.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Move the caps to the plane and their meshes' current transforms
+ * Call before each render: parts move with the exploded view and can be hidden.
+ */
+export function updateSectionCaps(caps) {
+    const { plane, entries } = caps.userData;
+    const center = new THREE.Vector3();
+
+    for (const { model, stencils, cap, centerOffset } of entries) {
+        const shown = isShown(model) && model.parent !== null;
+        cap.visible = shown;
+        stencils.forEach(({ stencil }) => { stencil.visible = shown; });
+        if (!shown) continue;
+
+        model.updateWorldMatrix(true, true);
+        stencils.forEach(({ mesh, stencil }) => stencil.matrix.copy(mesh.matrixWorld));
+
+        // Centered on the part, in the plane, facing the clipped side
+        plane.projectPoint(center.copy(model.position).add(centerOffset), cap.position);
+        cap.lookAt(center.copy(cap.position).sub(plane.normal));
+    }
+}
+
+/**
+ * Remove caps and release their materials (the stencil meshes share the models' geometries)
+ */
+export function disposeSectionCaps(caps) {
+    const { entries, capGeometry, backMaterial, frontMaterial } = caps.userData;
+    entries.forEach(({ cap }) => cap.material.dispose());
+    capGeometry.dispose();
+    backMaterial.dispose();
+    frontMaterial.dispose();
+    caps.removeFromParent();
+}
@@ -0,0 +1,198 @@
+/**
+ * A4T Share URL Format
+ * ====================
+ *
+ * Encodes the shareable state (config + colors) into the URL hash and decodes
+ * it again, including links written by older versions of the configurator.
+ *
+ * FORMAT (v2):
+ * ------------
+ *   #v=2&c=xol&h=dr&e=bmg&s=0&i=sb&b=0&f=0&x=0&mc=444444&ac=a62c2b
+ *
+ *   v        Format version
+ *   c, h...  Group code = option code (from configOptions `code`)
+ *   mc, ac   Main / accent color as 6-digit hex
+ *   no, bb   Optional, informational: nozzle offset and bounding box size
+ *            (printer axes, mm, "x,y,z") when the link was made. They follow
+ *            from the config, so they are decoded as `dimensions` but never
+ *            restored.
+ *
+ * Codes are stable: renaming an option id keeps its code, so v2 links survive
+ * renames. v1 links (base64 JSON with raw ids) are migrated through
+ * partsManifest.shareMigrations. Options a link can't restore are listed in
+ * `unresolved`; decoded values are validated by stateValidation.js on load.
+ *
+ * This module has no DOM or Three.js dependencies.
+ */
+
+import { partsManifest } from './partsManifest.js';
+
+export const SHARE_FORMAT_VERSION = 2;
+
+// Color parameters (kept apart from the group codes)
+const COLOR_PARAMS = { mainColor: 'mc', accentColor: 'ac' };
+const COLOR_LABELS = { mainColor: 'Main Color', accentColor: 'Accent Color' };
+
+// Informational dimension parameters (see getToolheadDimensions in measurements.js)
+const DIMENSION_PARAMS = { nozzleOffset: 'no', envelopeSize: 'bb' };
+
+/**
+ * Find the config key for a group code (e.g. "h" -> "hotend")
+ */
+function getKeyForCode(code) {
+    return Object.keys(partsManifest.configOptions)
+        .find(key => partsManifest.configOptions[key].code === code) || null;
+}
+
+function getGroupLabel(key) {
+    return partsManifest.configOptions[key]?.label || key;
+}
+
+function encodeVector(vector) {
+    return vector.map(value => {
+        const rounded = Number(value.toFixed(1));
+        return String(rounded === 0 ? 0 : rounded);  // No "-0"
+    }).join(',');
+}
+
+function decodeVector(value) {
+    const vector = value.split(',').map(Number);
+    return vector.length === 3 && vector.every(Number.isFinite) ? vector : null;
+}
+
+/**
+ * Encode the shareable state as a v2 hash (without the leading '#')
+ * @param {{config: Object, mainColor: number, accentColor: number}} shareableState
+ * @param {{nozzleOffset?: number[]|null, envelopeSize?: number[]|null}} [dimensions] - Informational
+ */
+export function encodeShareState({ config, mainColor, accentColor }, dimensions = {}) {
+    const params = new URLSearchParams();
+    params.set('v', String(SHARE_FORMAT_VERSION));
+
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        const option = group.options.find(o => o.id === config[key]);
+        if (option) {
+            params.set(group.code, option.code);
+        }
+    }
+
+    for (const [stateKey, param] of Object.entries(COLOR_PARAMS)) {
+        const color = { mainColor, accentColor }[stateKey];
+        if (Number.isInteger(color)) {
+            params.set(param, color.toString(16).padStart(6, '0'));
+        }
+    }
+
+    for (const [key, param] of Object.entries(DIMENSION_PARAMS)) {
+        if (dimensions[key]) {
+            params.set(param, encodeVector(dimensions[key]));
+        }
+    }
+
+    return params.toString();
+}
+
+/**
+ * Decode a v2 hash
+ */
+function decodeV2(params) {
+    const result = { version: 2, config: {}, unresolved: [] };
+    const codeMigrations = partsManifest.shareMigrations?.codes || {};
+
+    for (const [code, value] of params) {
+        if (code === 'v') continue;
+
+        const colorKey = Object.keys(COLOR_PARAMS).find(k => COLOR_PARAMS[k] === code);
+        if (colorKey) {
+            if (/^[0-9a-f]{6}$/i.test(value)) {
+                result[colorKey] = parseInt(value, 16);
+            } else {
+                result.unresolved.push({ key: colorKey, value, label: COLOR_LABELS[colorKey] });
+            }
+            continue;
+        }
+
+        const dimensionKey = Object.keys(DIMENSION_PARAMS).find(k => DIMENSION_PARAMS[k] === code);
+        if (dimensionKey) {
+            // Informational only: malformed values are dropped, nothing to restore
+            const vector = decodeVector(value);
+            if (vector) {
+                result.dimensions = { ...result.dimensions, [dimensionKey]: vector };
+            }
+            continue;
+        }
+
+        const key = getKeyForCode(code);
+        if (!key) {
+            result.unresolved.push({ key: code, value, label: `unknown option "${code}"` });
+            continue;
+        }
+
+        const option = partsManifest.configOptions[key].options.find(o => o.code === value);
+        const migratedId = codeMigrations[key]?.[value];
+        if (option) {
+            result.config[key] = option.id;
+        } else if (migratedId !== undefined) {
+            result.config[key] = migratedId;
+        } else {
+            result.unresolved.push({ key, value, label: getGroupLabel(key) });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Decode a v1 hash (base64 JSON with raw option ids and numeric colors)
+ * Renamed keys and ids are migrated; values are validated on load (stateValidation.js)
+ */
+function decodeV1(hash) {
+    const decoded = JSON.parse(atob(hash));
+    if (!decoded || typeof decoded !== 'object') {
+        return null;
+    }
+
+    const result = { version: 1, config: {}, unresolved: [] };
+    const { keys: keyMigrations = {}, options: optionMigrations = {} } = partsManifest.shareMigrations || {};
+
+    for (const [oldKey, oldValue] of Object.entries(decoded.config || {})) {
+        const key = keyMigrations[oldKey] || oldKey;
+        result.config[key] = optionMigrations[key]?.[oldValue] ?? oldValue;
+    }
+
+    for (const stateKey of Object.keys(COLOR_PARAMS)) {
+        if (decoded[stateKey] !== undefined) {
+            result[stateKey] = decoded[stateKey];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Decode a share hash of any version
+ * @param {string} hash - URL hash without the leading '#'
+ * @returns {{version: number, config: Object, mainColor?: number, accentColor?: number,
+ *   dimensions?: {nozzleOffset?: number[], envelopeSize?: number[]},
+ *   unresolved: Array<{key: string, value: *, label: string}>} | null}
+ *   null when the hash can't be decoded at all
+ */
+export function decodeShareState(hash) {
+    try {
+        const params = new URLSearchParams(hash);
+        const version = params.get('v');
+
+        if (version === null) {
+            return decodeV1(hash);
+        }
+        if (Number(version) === SHARE_FORMAT_VERSION) {
+            return decodeV2(params);
+        }
+
+        console.warn(`Unsupported share format version: ${version}`);
+        return null;
+    } catch (e) {
+        console.warn('Failed to decode hash:', e);
+        return null;
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * A4T Loaded State Validation
+ * ===========================
+ *
+ * Validates state that comes from outside the running app - shared URLs and
+ * session storage - before it is merged into the configurator state:
+ *   - every config value must be a known option of its group
+ *   - colors must be 24-bit RGB numbers (out of range values are clamped)
+ *   - incompatible combinations are repaired to the nearest valid config
+ *
+ * Every change is described in plain language so the UI can show the user
+ * what was adjusted. This module has no DOM or Three.js dependencies.
+ */
+
+import { partsManifest } from './partsManifest.js';
+import { evaluateConstraints, getOptionLabel, repairConfig } from './constraints.js';
+
+const MAX_COLOR = 0xffffff;
+const COLOR_LABELS = { mainColor: 'Main Color', accentColor: 'Accent Color' };
+
+function formatColor(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+}
+
+/**
+ * Find the option a stored value refers to
+ * Accepts the value's string form too (e.g. "true" for the hex cowl checkbox)
+ */
+function findOption(group, value) {
+    return group.options.find(option => option.id === value) ||
+        group.options.find(option => String(option.id) === String(value));
+}
+
+/**
+ * Type-check a color value
+ * @returns {{color: number, clamped: boolean} | null} null if it isn't a color at all
+ */
+export function parseColor(value) {
+    if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) {
+        return { color: parseInt(value.replace('#', ''), 16), clamped: false };
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return null;
+    }
+
+    const color = Math.min(MAX_COLOR, Math.max(0, Math.round(value)));
+    return { color, clamped: color !== value };
+}
+
+/**
+ * Validate loaded state against the manifest
+ * @param {{config?: Object, mainColor?: *, accentColor?: *, unresolved?: Array}} loaded
+ *   Decoded state; `unresolved` lists options a share link could not restore (see shareState.js)
+ * @param {{config: Object, mainColor: number, accentColor: number}} current - Values kept for anything invalid
+ * @returns {{config: Object, mainColor: number, accentColor: number, changes: string[]}}
+ */
+export function validateLoadedState(loaded, current) {
+    const changes = [];
+    const config = { ...current.config };
+
+    for (const { label, value } of loaded.unresolved || []) {
+        changes.push(`${label}: ${JSON.stringify(value)} could not be restored`);
+    }
+
+    // Values must be known options; anything else keeps the current selection
+    for (const [key, value] of Object.entries(loaded.config || {})) {
+        const group = partsManifest.configOptions[key];
+        if (!group) {
+            changes.push(`Ignored unknown option "${key}"`);
+            continue;
+        }
+
+        const option = findOption(group, value);
+        if (option) {
+            config[key] = option.id;
+        } else {
+            changes.push(`${group.label}: ${JSON.stringify(value)} is not a known option, kept ${getOptionLabel(key, config[key])}`);
+        }
+    }
+
+    const colors = {};
+    for (const [stateKey, label] of Object.entries(COLOR_LABELS)) {
+        colors[stateKey] = current[stateKey];
+        if (loaded[stateKey] === undefined) continue;
+
+        const parsed = parseColor(loaded[stateKey]);
+        if (!parsed) {
+            changes.push(`${label}: ${JSON.stringify(loaded[stateKey])} is not a color, kept ${formatColor(current[stateKey])}`);
+            continue;
+        }
+        if (parsed.clamped) {
+            changes.push(`${label}: ${loaded[stateKey]} is out of range, clamped to ${formatColor(parsed.color)}`);
+        }
+        colors[stateKey] = parsed.color;
+    }
+
+    // Incompatible combinations: change as few options as possible
+    const { warnings } = evaluateConstraints(config);
+    const repaired = repairConfig(config);
+    if (repaired !== config) {
+        const reason = warnings.join('; ');
+        for (const key of Object.keys(partsManifest.configOptions)) {
+            if (repaired[key] !== config[key]) {
+                const from = getOptionLabel(key, config[key]);
+                const to = getOptionLabel(key, repaired[key]);
+                changes.push(`${partsManifest.configOptions[key].label}: changed ${from} to ${to} (${reason})`);
+            }
+        }
+    }
+
+    return { config: repaired, ...colors, changes };
+}
@@ -0,0 +1,82 @@
+/**
+ * A4T Undo History
+ * ================
+ *
+ * Undo/redo stacks of configurator states (config + colors). The app records
+ * the state from *before* each change; undo/redo swap it with the current one.
+ *
+ * Consecutive changes recorded with the same coalesce key form a single step,
+ * so dragging a color picker is undone in one go rather than per input event.
+ *
+ * This module has no DOM or Three.js dependencies.
+ */
+
+const DEFAULT_LIMIT = 100;
+
+/**
+ * @param {number} [limit] - Maximum number of undo steps kept
+ */
+export function createHistory(limit = DEFAULT_LIMIT) {
+    return { past: [], future: [], limit, lastKey: null };
+}
+
+/**
+ * Record the state from before a change
+ * Clears the redo stack; skipped if the previous step had the same coalesce key.
+ * @param {Object} history
+ * @param {Object} before - State before the change
+ * @param {string|null} [coalesceKey]
+ */
+export function recordHistory(history, before, coalesceKey = null) {
+    if (coalesceKey !== null && coalesceKey === history.lastKey) {
+        return;
+    }
+
+    history.past.push(before);
+    if (history.past.length > history.limit) {
+        history.past.shift();
+    }
+    history.future = [];
+    history.lastKey = coalesceKey;
+}
+
+/**
+ * End the current coalesced step (e.g. the color picker was released)
+ */
+export function endCoalescing(history) {
+    history.lastKey = null;
+}
+
+/**
+ * Step back
+ * @param {Object} current - State to return to on redo
+ * @returns {Object|null} State to restore, null if there is nothing to undo
+ */
+export function undoHistory(history, current) {
+    if (history.past.length === 0) return null;
+
+    history.future.push(current);
+    history.lastKey = null;
+    return history.past.pop();
+}
+
+/**
+ * Step forward again
+ * @param {Object} current - State to return to on undo
+ * @returns {Object|null} State to restore, null if there is nothing to redo
+ */
+export function redoHistory(history, current) {
+    if (history.future.length === 0) return null;
+
+    history.past.push(current);
+    history.lastKey = null;
+    return history.future.pop();
+}
+
+export function canUndo(history) {
+    return history.past.length > 0;
+}
+
+export function canRedo(history) {
+    return history.future.length > 0;
+}
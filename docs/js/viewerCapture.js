@@ -0,0 +1,112 @@
+/**
+ * A4T Viewer Capture
+ * ==================
+ *
+ * Renders the viewer offscreen at a chosen resolution - independent of the
+ * canvas size on screen - for PNG screenshots and turntable image sequences.
+ *
+ * The caller describes the view:
+ *   {
+ *     camera,   // Viewer camera (copied, never moved)
+ *     target,   // Orbit target; turntables circle it around the Y (up) axis
+ *     scenes,   // Scenes whose background is cleared for transparent captures
+ *     aspect,   // Optional: aspect of one viewport (split views), default width / height
+ *     render    // (renderer, camera) => void - draws the view into the renderer
+ *   }
+ */
+
+import * as THREE from 'three';
+
+let captureRenderer = null;
+
+/**
+ * Offscreen renderer, created on first use and reused
+ */
+function getCaptureRenderer(width, height) {
+    if (!captureRenderer) {
+        captureRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+        captureRenderer.outputColorSpace = THREE.SRGBColorSpace;
+        captureRenderer.localClippingEnabled = true;  // Section view
+        captureRenderer.setPixelRatio(1);
+    }
+
+    // Keep within what the GPU can render in one pass
+    const max = captureRenderer.capabilities.maxTextureSize;
+    const scale = Math.min(1, max / Math.max(width, height));
+    captureRenderer.setSize(Math.round(width * scale), Math.round(height * scale), false);
+    return captureRenderer;
+}
+
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    });
+}
+
+/**
+ * Render frames from a list of camera positions
+ * @param {Object} view - See the module comment
+ * @param {{width: number, height: number, transparent?: boolean}} options
+ * @param {THREE.Vector3[]} positions - Camera positions (all looking at view.target)
+ * @param {Function} [onProgress] - (done, total) => void
+ * @returns {Promise<Blob[]>} PNG per position
+ */
+async function renderFrames(view, { width, height, transparent = false }, positions, onProgress) {
+    const target = getCaptureRenderer(width, height);
+    const size = target.getSize(new THREE.Vector2());
+
+    const camera = view.camera.clone();
+    camera.aspect = view.aspect ? view.aspect(size.x, size.y) : size.x / size.y;
+    camera.updateProjectionMatrix();
+
+    const backgrounds = view.scenes.map(scene => scene.background);
+    target.setClearColor(0x000000, transparent ? 0 : 1);
+
+    const frames = [];
+    try {
+        for (const position of positions) {
+            if (transparent) view.scenes.forEach(scene => { scene.background = null; });
+            camera.position.copy(position);
+            camera.lookAt(view.target);
+            view.render(target, camera);
+            view.scenes.forEach((scene, i) => { scene.background = backgrounds[i]; });
+
+            frames.push(await canvasToPng(target.domElement));
+            onProgress?.(frames.length, positions.length);
+        }
+    } finally {
+        view.scenes.forEach((scene, i) => { scene.background = backgrounds[i]; });
+    }
+
+    return frames;
+}
+
+/**
+ * Capture a single PNG from the current camera position
+ * @returns {Promise<Blob>}
+ */
+export async function captureImage(view, options) {
+    const [png] = await renderFrames(view, options, [view.camera.position.clone()]);
+    return png;
+}
+
+/**
+ * Capture a turntable: `frames` images evenly spaced on a full circle around the
+ * target, starting at the current camera position (same height and distance)
+ * @param {Object} view
+ * @param {{width: number, height: number, transparent?: boolean, frames: number}} options
+ * @param {Function} [onProgress] - (done, total) => void
+ * @returns {Promise<Blob[]>}
+ */
+export async function captureTurntable(view, options, onProgress) {
+    const up = new THREE.Vector3(0, 1, 0);
+    const offset = view.camera.position.clone().sub(view.target);
+
+    const positions = [];
+    for (let i = 0; i < options.frames; i++) {
+        const angle = (i / options.frames) * Math.PI * 2;
+        positions.push(offset.clone().applyAxisAngle(up, angle).add(view.target));
+    }
+
+    return renderFrames(view, options, positions, onProgress);
+}
@@ -0,0 +1,68 @@
+/**
+ * A4T Configuration Diff Test
+ *
+ * Checks diffConfigs (compare mode): printed files added, removed and shared
+ * between two configurations, and the variant changes in single-variant slots.
+ *
+ * Run with: node tests/config-diff.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getDefaultConfig, getPrintableParts } = require('../js/configResolver.js');
+const { diffConfigs } = require('../js/configDiff.js');
+
+const DEFAULT = getDefaultConfig();
+
+function paths(files) {
+    return files.map(f => f.path);
+}
+
+test('a configuration has no differences with itself', () => {
+    const diff = diffConfigs(DEFAULT, DEFAULT);
+    assert.deepEqual(diff.files.added, []);
+    assert.deepEqual(diff.files.removed, []);
+    assert.equal(diff.files.shared.length, getPrintableParts(DEFAULT).length);
+    assert.deepEqual(diff.variants, []);
+});
+
+test('changing the hotend swaps the duct and keeps the shared cowling', () => {
+    const diff = diffConfigs(DEFAULT, { ...DEFAULT, hotend: 'rapido' });
+    assert.deepEqual(paths(diff.files.added), ['Hotend Fan Ducts/A4T HE Fan Duct - Rapido.stl']);
+    assert.deepEqual(paths(diff.files.removed), ['Hotend Fan Ducts/A4T HE Fan Duct - Dragon.stl']);
+    assert.ok(paths(diff.files.shared).includes('Cowlings/A4T Cowling - Dragon_Rapido [xol-carriage].stl'));
+
+    assert.deepEqual(diff.variants.map(v => v.categoryId), ['hotendDucts']);
+    assert.deepEqual(diff.variants[0].from.map(p => p.id), ['duct-dragon']);
+    assert.deepEqual(diff.variants[0].to.map(p => p.id), ['duct-rapido']);
+});
+
+test('a slot the configuration leaves out shows as an empty side', () => {
+    // UHF hotends have no extruder adapter
+    const diff = diffConfigs(DEFAULT, { ...DEFAULT, hotend: 'dragon-uhf' });
+    const adapter = diff.variants.find(v => v.categoryId === 'extruderAdapters');
+    assert.deepEqual(adapter.from.map(p => p.id), ['adapter-wwbmg-xol']);
+    assert.deepEqual(adapter.to, []);
+    assert.deepEqual(diff.variants.map(v => v.categoryId), ['cowlings', 'hotendDucts', 'extruderAdapters']);
+});
+
+test('STL and 3MF files of the same part are different files', () => {
+    const diff = diffConfigs(DEFAULT, { ...DEFAULT, hexCowl: true });
+    assert.deepEqual(diff.files.added.map(f => [f.path, f.is3mf]), [
+        ['Cowlings [Hexagon multi-colour]/Hex A4T Cowling - Dragon_Rapido [xol-carriage].3mf', true]
+    ]);
+    assert.deepEqual(paths(diff.files.removed), ['Cowlings/A4T Cowling - Dragon_Rapido [xol-carriage].stl']);
+    assert.deepEqual(diff.variants, []);  // Same cowling variant, different download
+});
+
+test('swapping the sides swaps added and removed', () => {
+    const other = { ...DEFAULT, carriage: 'cw2-tap', extruder: 'orbiter' };
+    const forward = diffConfigs(DEFAULT, other);
+    const backward = diffConfigs(other, DEFAULT);
+    assert.deepEqual(paths(backward.files.added), paths(forward.files.removed));
+    assert.deepEqual(paths(backward.files.removed), paths(forward.files.added));
+    assert.deepEqual(backward.variants.map(v => [v.categoryId, v.from, v.to]),
+        forward.variants.map(v => [v.categoryId, v.to, v.from]));
+});
@@ -0,0 +1,104 @@
+/**
+ * A4T Firmware Config Test
+ *
+ * Checks generateKlipperConfig for a CAN toolhead board, a USB board, a
+ * passive breakout board and no toolhead board: the [mcu] section, the board
+ * pins and the <placeholders> for what the manifest doesn't know.
+ *
+ * Run with: node tests/firmware-config.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getDefaultConfig } = require('../js/configResolver.js');
+const { generateKlipperConfig } = require('../js/firmwareConfig.js');
+
+const DEFAULT = getDefaultConfig();
+
+/**
+ * Split a generated snippet into its sections: { name: { option: value } }
+ * Comment lines and the header are left out.
+ */
+function parseSections(text) {
+    const sections = {};
+    let current = null;
+    for (const line of text.split('\n')) {
+        const header = line.match(/^\[(.+)\]$/);
+        if (header) {
+            assert.ok(!sections[header[1]], `duplicate section [${header[1]}]`);
+            current = sections[header[1]] = {};
+        } else if (current && /^\w+:/.test(line)) {
+            const [option, ...value] = line.split(':');
+            current[option] = value.join(':').trim();
+        }
+    }
+    return sections;
+}
+
+function getMcuSections(sections) {
+    return Object.keys(sections).filter(name => name === 'mcu' || name.startsWith('mcu '));
+}
+
+test('a CAN board gets a canbus_uuid and its pins', () => {
+    const text = generateKlipperConfig({ ...DEFAULT, toolheadBoard: 'ebb36-sht36v2', wwbmgSensors: 'dual-sensors' });
+    const sections = parseSections(text);
+
+    assert.deepEqual(getMcuSections(sections), ['mcu EBBCan']);
+    assert.match(sections['mcu EBBCan'].canbus_uuid, /^<uuid>/);
+    assert.equal(sections.fan.pin, 'EBBCan:PA0');
+    assert.equal(sections['heater_fan hotend_fan'].pin, 'EBBCan:PA1');
+    // The EBB36 pin map has no sensor pins
+    assert.equal(sections['filament_switch_sensor toolhead_filament_1'].switch_pin, '<sensor pin>');
+    assert.equal(sections['filament_switch_sensor toolhead_filament_2'].switch_pin, '<sensor pin>');
+    assert.ok(text.endsWith('\n'));
+});
+
+test('a USB board gets a serial port', () => {
+    const sections = parseSections(generateKlipperConfig({ ...DEFAULT, toolheadBoard: 'nh36' }));
+
+    assert.deepEqual(getMcuSections(sections), ['mcu nhk']);
+    assert.match(sections['mcu nhk'].serial, /^\/dev\/serial\/by-id\/<id>/);
+    assert.equal(sections['mcu nhk'].canbus_uuid, undefined);
+    assert.equal(sections.fan.pin, 'nhk:gpio6');
+    assert.equal(sections['heater_fan hotend_fan'].pin, 'nhk:gpio5');
+});
+
+test('without a toolhead board there is no [mcu] section and the fan pins are placeholders', () => {
+    const sections = parseSections(generateKlipperConfig(DEFAULT));
+
+    assert.deepEqual(getMcuSections(sections), []);
+    assert.equal(sections.fan.pin, '<part fan pin>');
+    assert.equal(sections['heater_fan hotend_fan'].pin, '<hotend fan pin>');
+    assert.deepEqual(sections.extruder, {
+        rotation_distance: '22.6789511',
+        gear_ratio: '50:17',
+        max_extrude_only_distance: '100'
+    });
+});
+
+test('a passive breakout board has no [mcu] section', () => {
+    const sections = parseSections(generateKlipperConfig({ ...DEFAULT, toolheadBoard: 'xol-pcb' }));
+
+    assert.deepEqual(getMcuSections(sections), []);
+    assert.equal(sections.fan.pin, '<part fan pin>');
+});
+
+test('a board with an MCU the manifest has no details for gets a placeholder [mcu] section', () => {
+    const sections = parseSections(generateKlipperConfig({ ...DEFAULT, toolheadBoard: 'h36' }));
+    assert.deepEqual(getMcuSections(sections), ['mcu toolhead']);
+    assert.equal(sections['mcu toolhead'].canbus_uuid, '<uuid>');
+});
+
+test('an extruder without defaults gets placeholders, a cutter its macro stub', () => {
+    const sections = parseSections(generateKlipperConfig({ ...DEFAULT, extruder: 'vz-hextrudort', wwbmgSensors: 'single-sensor', filamentCutter: 'crossbow' }));
+
+    assert.deepEqual(sections.extruder, {
+        rotation_distance: '<rotation distance>',
+        max_extrude_only_distance: '<mm>'
+    });
+    assert.ok(sections['gcode_macro CUT_FILAMENT']);
+    // WW-BMG sensor options don't apply to other extruders
+    assert.ok(!Object.keys(sections).some(name => name.startsWith('filament_switch_sensor')));
+});
@@ -0,0 +1,95 @@
+/**
+ * A4T Hardware BOM Test
+ *
+ * Checks getHardwareBom totals for the default configuration and two others
+ * (Tap carriage, toolhead board), and the CSV written by formatHardwareCsv.
+ *
+ * Run with: node tests/hardware-bom.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getDefaultConfig } = require('../js/configResolver.js');
+const { isConfigValid } = require('../js/constraints.js');
+const { formatHardwareCsv, formatHardwareLength, getHardwareBom } = require('../js/hardwareBom.js');
+
+const DEFAULT = getDefaultConfig();
+const TAP = { ...DEFAULT, carriage: 'cw2-tap', extruder: 'orbiter' };
+
+/**
+ * BOM as { itemId: quantity }
+ */
+function quantities(config) {
+    assert.ok(isConfigValid(config), 'test configuration must be valid');
+    return Object.fromEntries(getHardwareBom(config).map(row => [row.id, row.quantity]));
+}
+
+test('default configuration (Xol carriage, WW-BMG, no board)', () => {
+    assert.deepEqual(quantities(DEFAULT), {
+        'm3-bhcs-hanging': 2,
+        'm3-shcs-back': 2,
+        'm3-shcs-front': 2,
+        'm3-bhcs-extruder': 2,
+        'm3-square-nut': 2,
+        'fan-4010-blower': 2,
+        'fan-2510': 1,
+        'led-neopixel': 3,  // Two in the cowling, one in the LED carrier
+        'idler-bearing': 1,
+        'cable-tie': 1
+    });
+});
+
+test('Tap carriage: Tap mount screws and the cowling inserts, no WW-BMG bearing', () => {
+    assert.deepEqual(quantities(TAP), {
+        'm3-shcs-tap': 2,
+        'm3-shcs-front': 2,
+        'm3-bhcs-extruder': 2,
+        'm3-insert': 2,
+        'm3-square-nut': 2,
+        'fan-4010-blower': 2,
+        'fan-2510': 1,
+        'led-neopixel': 3,
+        'cable-tie': 1
+    });
+});
+
+test('a toolhead board adds its third screw and the extruder standoffs', () => {
+    const bom = quantities({ ...DEFAULT, toolheadBoard: 'ebb36-sht36v2' });
+    const base = quantities(DEFAULT);
+    assert.deepEqual(bom, { ...base, 'm3-shcs-thb': 1, 'm3-standoff': 2 });
+});
+
+test('rows follow hardwareItems order and name the categories using them', () => {
+    const bom = getHardwareBom(DEFAULT);
+    const led = bom.find(row => row.id === 'led-neopixel');
+    assert.deepEqual(led.usedBy, ['Cowling', 'LED Holder + Filter']);
+    assert.equal(led.group, 'Electronics');
+
+    // The table starts a new group header whenever the group changes: each group is one run
+    const runs = bom.map(row => row.group).filter((group, i, groups) => group !== groups[i - 1]);
+    assert.deepEqual(runs, ['Fasteners', 'Fans', 'Electronics', 'Motion', 'Other']);
+});
+
+test('screws without a length in the manifest point to the assembly guide', () => {
+    for (const row of getHardwareBom(TAP)) {
+        const expected = row.screw ? 'see assembly guide' : '';
+        assert.equal(formatHardwareLength(row), expected, row.id);
+    }
+    assert.equal(formatHardwareLength({ screw: true, length: 12 }), '12 mm');
+});
+
+test('CSV has a header row, quoted fields where needed and CRLF line endings', () => {
+    const csv = formatHardwareCsv(getHardwareBom(DEFAULT));
+    const lines = csv.split('\r\n');
+    assert.equal(lines[0], 'Group,Item,Length,Quantity,Used by');
+    assert.equal(lines[1], 'Fasteners,M3 button head screw - carriage hanging screws,see assembly guide,2,Carriage');
+    assert.ok(lines.includes('Electronics,Neopixel LED (mini PCB),,3,Cowling; LED Holder + Filter'));
+    assert.equal(lines.at(-1), '');  // Ends with a line break
+    assert.equal(lines.length, getHardwareBom(DEFAULT).length + 2);
+    assert.ok(!/[^\r]\n/.test(csv));
+
+    const quoted = formatHardwareCsv([{ group: 'Other', label: 'Tie, "small"', screw: false, length: null, quantity: 1, usedBy: ['A', 'B'] }]);
+    assert.equal(quoted.split('\r\n')[1], 'Other,"Tie, ""small""",,1,A; B');
+});
@@ -0,0 +1,803 @@
+/**
+ * A4T Parts Manifest Linter
+ *
+ * Validates js/partsManifest.js against the manifest schema and cross-checks
+ * every config key and option value it references against configOptions.
+ * Typos in the manifest otherwise fail silently at runtime (a misspelled key
+ * in `requires` just never matches).
+ *
+ * Run with: node tests/manifest-lint.test.js
+ * Requires Node 20.19+ (loads the ES module manifest from js/ with require)
+ *
+ * Errors exit non-zero; warnings are reported but don't fail the run.
+ * Pass --no-reachability to skip the (slower) unreachable variant check.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { partsManifest } = require('../js/partsManifest.js');
+const { getMatchingParts, getMatchingStlOnlyParts } = require('../js/configResolver.js');
+const { isConfigValid } = require('../js/constraints.js');
+const { generateAllConfigs } = require('./stl-coverage.test.js');
+
+const MANIFEST_PATH = path.join(__dirname, '..', 'js', 'partsManifest.js');
+
+// ============================================
+// Schema
+// ============================================
+
+// Field types: 'string', 'number', 'boolean', 'object', 'array', 'vector3',
+// 'optionId' (string or boolean), 'configMatch' ({ key: value }),
+// 'configValues' ({ key: [values] }), 'probePoint' (vector3 or "nozzle") or the
+// name of another schema below.
+// A trailing '!' marks the field as required.
+
+const SCHEMA = {
+    manifest: {
+        version: 'string!',
+        basePath: 'string!',
+        fileExtension: 'string!',
+        globalScale: 'number!',
+        configOptions: 'object!',
+        configSections: 'array',
+        shareMigrations: 'shareMigrations',
+        compatibility: 'object!',
+        parts: 'object!',
+        stlOnlyParts: 'object',
+        colors: 'object',
+        hardwareItems: 'object',
+        firmware: 'firmware'
+    },
+    optionGroup: {
+        label: 'string!',
+        code: 'string!',
+        options: 'array!',
+        input: 'string',
+        dependsOn: 'configMatch',
+        requiresPart: 'requiresPart'
+    },
+    option: {
+        id: 'optionId!',
+        code: 'string!',
+        label: 'string!',
+        default: 'boolean',
+        noExtruderAdapter: 'boolean'
+    },
+    shareMigrations: {
+        keys: 'object',
+        options: 'object',
+        codes: 'object'
+    },
+    requiresPart: {
+        categories: 'array!',
+        label: 'string!',
+        except: 'array'
+    },
+    section: {
+        title: 'string!',
+        id: 'string',
+        keys: 'array!',
+        notes: 'array'
+    },
+    sectionNote: {
+        id: 'string!',
+        html: 'string!',
+        showIf: 'configMatch',
+        before: 'string'
+    },
+    rule: {
+        incompatibleWith: 'configValues',
+        compatibleWith: 'configValues',
+        warningMessage: 'string',
+        notes: 'object',
+        noExtruderAdapter: 'boolean',
+        requiresSpacing: 'boolean'
+    },
+    category: {
+        category: 'string!',
+        description: 'string',
+        excludeFromDownload: 'boolean',
+        alwaysInclude: 'boolean',
+        cardinality: 'cardinality',
+        explode: 'vector3',
+        opacity: 'number',
+        hardware: 'object',
+        variants: 'object!'
+    },
+    cardinality: {
+        min: 'number!',
+        max: 'number'
+    },
+    // Rendered parts (parts.*.variants)
+    part: {
+        file: 'string!',
+        stlPath: 'string',
+        requires: 'configMatch',
+        requiresAny: 'configValues',
+        excludeIf: 'configValues',
+        visualOnly: 'boolean',
+        quantity: 'number',
+        printNote: 'string',
+        opacity: 'number',
+        nozzleTip: 'vector3',
+        origin: 'vector3',
+        probe: 'probePoint',
+        hardware: 'object',
+        transform: 'transform!'
+    },
+    // Download-only parts (stlOnlyParts.*.variants)
+    stlOnlyPart: {
+        stlFile: 'string!',
+        requires: 'configMatch',
+        requiresAny: 'configValues',
+        excludeIf: 'configValues',
+        quantity: 'number',
+        printNote: 'string',
+        hardware: 'object'
+    },
+    // Hardware BOM items (hardwareItems.*)
+    hardwareItem: {
+        label: 'string!',
+        group: 'string!',
+        screw: 'boolean',
+        length: 'number'
+    },
+    transform: {
+        position: 'vector3!',
+        rotation: 'vector3!',
+        scale: 'number!'
+    },
+    // Klipper config tables (firmware.*), keyed by option id
+    firmware: {
+        extruders: 'object',
+        boards: 'object',
+        filamentSensors: 'object',
+        filamentCutters: 'object'
+    },
+    firmwareExtruder: {
+        rotationDistance: 'number!',
+        gearRatio: 'string',
+        maxExtrudeOnlyDistance: 'number!'
+    },
+    firmwareBoard: {
+        mcu: 'firmwareMcu',
+        passive: 'boolean',
+        pins: 'firmwarePins',
+        note: 'string'
+    },
+    firmwareMcu: {
+        name: 'string!',
+        connection: 'string!'
+    },
+    firmwarePins: {
+        fan: 'string',
+        hotendFan: 'string',
+        filamentSensors: 'array'
+    },
+    firmwareSensor: {
+        name: 'string!',
+        label: 'string!'
+    },
+    firmwareCutter: {
+        macro: 'string!',
+        description: 'string!',
+        gcode: 'array!'
+    }
+};
+
+// ============================================
+// Reporting
+// ============================================
+
+/**
+ * Find where the nth element of the array literal starting at `index` begins
+ * Skips strings and comments so brackets inside them don't count.
+ */
+function findArrayElement(source, index, n) {
+    let depth = 0;
+    let element = 0;
+    for (let i = source.indexOf('[', index); i !== -1 && i < source.length; i++) {
+        const char = source[i];
+        if (char === '"' || char === "'" || char === '`') {
+            for (i++; i < source.length && source[i] !== char; i++) {
+                if (source[i] === '\\') i++;
+            }
+        } else if (char === '/' && source[i + 1] === '/') {
+            i = source.indexOf('\n', i);
+        } else if ('[{('.includes(char)) {
+            depth++;
+        } else if (']})'.includes(char)) {
+            depth--;
+            if (depth === 0) break;
+        } else if (char === ',' && depth === 1) {
+            element++;
+        } else if (depth === 1 && element === n && !/\s/.test(char)) {
+            return i;
+        }
+        if (depth === 2 && '{['.includes(char) && element === n) {
+            return i;
+        }
+    }
+    return index;
+}
+
+/**
+ * Find the line in partsManifest.js a location path points at
+ * Walks the source forward one path segment at a time, so nested keys
+ * resolve to the occurrence inside their parent.
+ */
+function createLineFinder(source) {
+    return function findLine(location) {
+        let index = 0;
+        for (const segment of location) {
+            if (typeof segment === 'number') {
+                index = findArrayElement(source, index, segment);
+                continue;
+            }
+            const escaped = segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const match = new RegExp(`(^|[\\s{,])("${escaped}"|${escaped})\\s*:`, 'm').exec(source.slice(index));
+            if (!match) break;
+            index += match.index + match[0].length;
+        }
+        return source.slice(0, index).split('\n').length;
+    };
+}
+
+/**
+ * Format a location path as e.g. parts.cowlings.variants["cowl-xol"].requires
+ */
+function formatLocation(location) {
+    return location.map((segment, i) => {
+        if (typeof segment === 'number') return `[${segment}]`;
+        if (!/^[A-Za-z_$][\w$]*$/.test(segment)) return `["${segment}"]`;
+        return i === 0 ? segment : `.${segment}`;
+    }).join('');
+}
+
+function createReport() {
+    const findLine = createLineFinder(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    const report = { errors: [], warnings: [] };
+
+    const add = list => (location, message) => list.push({
+        line: findLine(location),
+        location: formatLocation(location),
+        message
+    });
+    report.error = add(report.errors);
+    report.warn = add(report.warnings);
+
+    return report;
+}
+
+// ============================================
+// Schema Validation
+// ============================================
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Check a value against a field type; nested schemas are validated recursively
+ * @returns {boolean} Whether the value has the expected type
+ */
+function checkType(value, type, location, report) {
+    if (SCHEMA[type]) {
+        if (!isPlainObject(value)) {
+            report.error(location, `expected an object, got ${describeType(value)}`);
+            return false;
+        }
+        validateObject(value, type, location, report);
+        return true;
+    }
+
+    let valid;
+    switch (type) {
+        case 'string':
+        case 'number':
+        case 'boolean':
+            valid = typeof value === type && !(type === 'number' && !Number.isFinite(value));
+            break;
+        case 'object':
+        case 'configMatch':
+            valid = isPlainObject(value);
+            break;
+        case 'configValues':
+            valid = isPlainObject(value) && Object.values(value).every(Array.isArray);
+            break;
+        case 'array':
+            valid = Array.isArray(value);
+            break;
+        case 'vector3':
+            valid = Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+            break;
+        case 'optionId':
+            valid = typeof value === 'string' || typeof value === 'boolean';
+            break;
+        case 'probePoint':
+            valid = value === 'nozzle' || (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite));
+            break;
+        default:
+            throw new Error(`Unknown schema type "${type}"`);
+    }
+
+    if (!valid) {
+        const expected = { configValues: 'an object of arrays', vector3: 'an [x, y, z] array', optionId: 'a string or boolean', probePoint: 'an [x, y, z] array or "nozzle"' }[type] || `a ${type}`;
+        report.error(location, `expected ${expected}, got ${describeType(value)}`);
+    }
+    return valid;
+}
+
+/**
+ * Validate an object against a named schema: required fields, field types and unknown fields
+ */
+function validateObject(object, schemaName, location, report) {
+    const schema = SCHEMA[schemaName];
+
+    for (const [field, spec] of Object.entries(schema)) {
+        const required = spec.endsWith('!');
+        if (object[field] === undefined) {
+            if (required) {
+                report.error(location, `missing required field "${field}"`);
+            }
+            continue;
+        }
+        checkType(object[field], spec.replace('!', ''), [...location, field], report);
+    }
+
+    for (const field of Object.keys(object)) {
+        if (!schema[field]) {
+            report.error([...location, field], `unknown field "${field}" (expected one of: ${Object.keys(schema).join(', ')})`);
+        }
+    }
+}
+
+// ============================================
+// Cross-reference Checks
+// ============================================
+
+/**
+ * Check that a config key exists and (optionally) that it has the given option
+ */
+function checkConfigValue(key, value, location, report) {
+    const group = partsManifest.configOptions[key];
+    if (!isPlainObject(group) || !Array.isArray(group.options)) {
+        report.error(location, `unknown config key "${key}" (expected one of: ${Object.keys(partsManifest.configOptions).join(', ')})`);
+        return;
+    }
+    if (value !== undefined && !group.options.some(option => option.id === value)) {
+        const ids = group.options.map(option => JSON.stringify(option.id)).join(', ');
+        report.error([...location, key], `"${key}" has no option ${JSON.stringify(value)} (expected one of: ${ids})`);
+    }
+}
+
+function checkConfigMatch(match, location, report) {
+    for (const [key, value] of Object.entries(match || {})) {
+        checkConfigValue(key, value, location, report);
+    }
+}
+
+function checkConfigValues(values, location, report) {
+    for (const [key, list] of Object.entries(values || {})) {
+        if (!Array.isArray(list)) continue;
+        if (list.length === 0) {
+            report.warn([...location, key], `empty list for "${key}" never matches anything`);
+        }
+        checkConfigValue(key, undefined, location, report);
+        for (const value of list) {
+            checkConfigValue(key, value, location, report);
+        }
+    }
+}
+
+function checkConfigOptions(report) {
+    // Share URL parameters that aren't group codes (see js/shareState.js)
+    const groupCodes = new Map([
+        ['v', 'version'], ['mc', 'main color'], ['ac', 'accent color'],
+        ['no', 'nozzle offset'], ['bb', 'bounding box size']
+    ]);
+
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        const location = ['configOptions', key];
+        if (!checkType(group, 'optionGroup', location, report) || !Array.isArray(group.options)) continue;
+
+        if (groupCodes.has(group.code)) {
+            report.error([...location, 'code'], `share code "${group.code}" is already used by ${groupCodes.get(group.code)}`);
+        }
+        groupCodes.set(group.code, key);
+
+        const seen = new Set();
+        const seenCodes = new Set();
+        group.options.forEach((option, i) => {
+            if (!checkType(option, 'option', [...location, 'options', i], report)) return;
+            if (seen.has(option.id)) {
+                report.error([...location, 'options', i], `duplicate option id ${JSON.stringify(option.id)}`);
+            }
+            if (seenCodes.has(option.code)) {
+                report.error([...location, 'options', i, 'code'], `duplicate share code "${option.code}"`);
+            }
+            seen.add(option.id);
+            seenCodes.add(option.code);
+        });
+
+        const defaults = group.options.filter(option => option.default === true);
+        if (defaults.length !== 1) {
+            report.error(location, `expected exactly one option with default: true, found ${defaults.length}`);
+        }
+        if (group.input !== undefined && group.input !== 'checkbox') {
+            report.error([...location, 'input'], `unknown input "${group.input}" (only "checkbox" is supported)`);
+        }
+        if (group.input === 'checkbox' && group.options.length !== 2) {
+            report.error([...location, 'input'], `checkbox groups need exactly two options, found ${group.options.length}`);
+        }
+
+        checkConfigMatch(group.dependsOn, [...location, 'dependsOn'], report);
+
+        for (const categoryId of group.requiresPart?.categories || []) {
+            if (!partsManifest.parts[categoryId] && !partsManifest.stlOnlyParts?.[categoryId]) {
+                report.error([...location, 'requiresPart', 'categories'], `unknown part category "${categoryId}"`);
+            }
+        }
+        for (const value of group.requiresPart?.except || []) {
+            checkConfigValue(key, value, [...location, 'requiresPart', 'except'], report);
+        }
+    }
+}
+
+/**
+ * Share URL migrations must point at current keys and options
+ */
+function checkShareMigrations(report) {
+    const { keys = {}, options = {}, codes = {} } = partsManifest.shareMigrations || {};
+
+    for (const [oldKey, newKey] of Object.entries(keys)) {
+        checkConfigValue(newKey, undefined, ['shareMigrations', 'keys', oldKey], report);
+    }
+    for (const [field, migrations] of [['options', options], ['codes', codes]]) {
+        for (const [key, mapping] of Object.entries(migrations)) {
+            const location = ['shareMigrations', field, key];
+            if (!checkType(mapping, 'object', location, report)) continue;
+            for (const newId of Object.values(mapping)) {
+                checkConfigValue(key, newId, location, report);
+            }
+        }
+    }
+    for (const [key, mapping] of Object.entries(codes)) {
+        for (const oldCode of Object.keys(mapping)) {
+            if (partsManifest.configOptions[key]?.options.some(o => o.code === oldCode)) {
+                report.error(['shareMigrations', 'codes', key, oldCode], `code "${oldCode}" is still used by a current option`);
+            }
+        }
+    }
+}
+
+function checkConfigSections(report) {
+    const sectionNoteIds = new Set();
+
+    (partsManifest.configSections || []).forEach((section, i) => {
+        const location = ['configSections', i];
+        if (!checkType(section, 'section', location, report)) return;
+
+        for (const key of section.keys || []) {
+            checkConfigValue(key, undefined, [...location, 'keys'], report);
+        }
+        (section.notes || []).forEach((note, j) => {
+            if (!checkType(note, 'sectionNote', [...location, 'notes', j], report)) return;
+            if (sectionNoteIds.has(note.id)) {
+                report.error([...location, 'notes', j], `duplicate note id "${note.id}"`);
+            }
+            sectionNoteIds.add(note.id);
+            checkConfigMatch(note.showIf, [...location, 'notes', j, 'showIf'], report);
+        });
+    });
+
+    return sectionNoteIds;
+}
+
+function checkCompatibility(report, sectionNoteIds) {
+    // Rules are keyed by option id alone, so the id must belong to exactly one group
+    const optionKeys = new Map();
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        for (const option of group.options || []) {
+            optionKeys.set(option.id, [...(optionKeys.get(option.id) || []), key]);
+        }
+    }
+
+    for (const [optionId, rule] of Object.entries(partsManifest.compatibility)) {
+        const location = ['compatibility', optionId];
+        const keys = optionKeys.get(optionId) || [];
+        if (keys.length === 0) {
+            report.error(location, `rule for unknown option "${optionId}"`);
+        } else if (keys.length > 1) {
+            report.error(location, `option id "${optionId}" is ambiguous (in ${keys.join(', ')})`);
+        }
+
+        if (!checkType(rule, 'rule', location, report)) continue;
+        checkConfigValues(rule.incompatibleWith, [...location, 'incompatibleWith'], report);
+        checkConfigValues(rule.compatibleWith, [...location, 'compatibleWith'], report);
+
+        for (const [key, noteId] of Object.entries(rule.notes || {})) {
+            checkConfigValue(key, undefined, [...location, 'notes'], report);
+            if (!sectionNoteIds.has(noteId)) {
+                report.error([...location, 'notes', key], `note "${noteId}" is not defined in configSections`);
+            }
+        }
+    }
+}
+
+// Reference points (Dimensions panel) and the category whose variants carry them
+const REFERENCE_POINT_CATEGORIES = { nozzleTip: 'hotends', origin: 'carriages', probe: 'carriages' };
+
+/**
+ * Validate every category and variant, and collect variant ids for the duplicate check
+ */
+function checkParts(report) {
+    const variantIds = new Map(); // Map<variantId, location[]>
+
+    for (const [source, variantSchema] of [['parts', 'part'], ['stlOnlyParts', 'stlOnlyPart']]) {
+        for (const [categoryId, category] of Object.entries(partsManifest[source] || {})) {
+            const location = [source, categoryId];
+            if (!checkType(category, 'category', location, report) || !isPlainObject(category.variants)) continue;
+
+            for (const [variantId, variant] of Object.entries(category.variants)) {
+                const variantLocation = [...location, 'variants', variantId];
+                variantIds.set(variantId, [...(variantIds.get(variantId) || []), variantLocation]);
+
+                if (!checkType(variant, variantSchema, variantLocation, report)) continue;
+                checkConfigMatch(variant.requires, [...variantLocation, 'requires'], report);
+                checkConfigValues(variant.requiresAny, [...variantLocation, 'requiresAny'], report);
+                checkConfigValues(variant.excludeIf, [...variantLocation, 'excludeIf'], report);
+
+                if (variant.file?.endsWith('.' + partsManifest.fileExtension)) {
+                    report.error([...variantLocation, 'file'], `file must not include the .${partsManifest.fileExtension} extension`);
+                }
+                for (const field of ['stlFile', 'stlPath']) {
+                    if (variant[field] !== undefined && !/\.stl$/i.test(variant[field])) {
+                        report.error([...variantLocation, field], `${field} should end in .stl`);
+                    }
+                }
+                if (variant.quantity !== undefined && !(Number.isInteger(variant.quantity) && variant.quantity > 0)) {
+                    report.error([...variantLocation, 'quantity'], 'quantity must be a positive integer');
+                }
+                for (const [field, pointCategory] of Object.entries(REFERENCE_POINT_CATEGORIES)) {
+                    if (variant[field] !== undefined && categoryId !== pointCategory) {
+                        report.warn([...variantLocation, field], `${field} is only read on ${pointCategory} variants`);
+                    }
+                }
+            }
+        }
+    }
+
+    // Part ids must be unique across all categories (models are cached by id)
+    for (const [variantId, locations] of variantIds) {
+        if (locations.length > 1) {
+            for (const location of locations) {
+                const others = locations.filter(l => l !== location).map(formatLocation).join(', ');
+                report.error(location, `duplicate part id "${variantId}" (also ${others})`);
+            }
+        }
+    }
+}
+
+// Firmware tables, the config key their entries are keyed by and the entry schema
+const FIRMWARE_TABLES = {
+    extruders: { key: 'extruder', schema: 'firmwareExtruder' },
+    boards: { key: 'toolheadBoard', schema: 'firmwareBoard' },
+    filamentSensors: { key: 'wwbmgSensors', schema: 'firmwareSensor', list: true },
+    filamentCutters: { key: 'filamentCutter', schema: 'firmwareCutter' }
+};
+
+/**
+ * Validate the Klipper config tables (see js/firmwareConfig.js)
+ */
+function checkFirmware(report) {
+    const firmware = partsManifest.firmware;
+    if (!isPlainObject(firmware)) return;
+
+    for (const [tableName, { key, schema, list }] of Object.entries(FIRMWARE_TABLES)) {
+        if (!isPlainObject(firmware[tableName])) continue;
+
+        for (const [optionId, entry] of Object.entries(firmware[tableName])) {
+            const location = ['firmware', tableName, optionId];
+            const options = partsManifest.configOptions[key]?.options || [];
+            if (!options.some(option => option.id === optionId)) {
+                report.error(location, `"${key}" has no option "${optionId}"`);
+            }
+
+            const items = list ? entry : [entry];
+            if (list && !checkType(entry, 'array', location, report)) continue;
+            items.forEach((item, i) => checkType(item, schema, list ? [...location, i] : location, report));
+        }
+    }
+
+    for (const [boardId, board] of Object.entries(firmware.boards || {})) {
+        const connection = board?.mcu?.connection;
+        if (connection !== undefined && !['canbus', 'usb'].includes(connection)) {
+            report.error(['firmware', 'boards', boardId, 'mcu', 'connection'], `unknown connection "${connection}" (expected "canbus" or "usb")`);
+        }
+        if (board?.passive && board.mcu) {
+            report.error(['firmware', 'boards', boardId, 'passive'], 'a passive board has no mcu');
+        }
+        if (board?.pins && !board.mcu) {
+            report.warn(['firmware', 'boards', boardId, 'pins'], 'pins are only used with an mcu (they are prefixed with its name)');
+        }
+    }
+}
+
+/**
+ * Validate the hardware catalog and the `hardware` counts of categories and parts (see js/hardwareBom.js)
+ */
+function checkHardware(report) {
+    const items = isPlainObject(partsManifest.hardwareItems) ? partsManifest.hardwareItems : {};
+    for (const [itemId, item] of Object.entries(items)) {
+        checkType(item, 'hardwareItem', ['hardwareItems', itemId], report);
+        if (item?.length !== undefined && !item.screw) {
+            report.error(['hardwareItems', itemId, 'length'], 'length is only shown for screws (screw: true)');
+        }
+    }
+
+    const used = new Set();
+    const checkCounts = (hardware, location) => {
+        if (!isPlainObject(hardware)) return;
+        for (const [itemId, count] of Object.entries(hardware)) {
+            used.add(itemId);
+            if (!items[itemId]) {
+                report.error([...location, itemId], `unknown hardware item "${itemId}" (not in hardwareItems)`);
+            }
+            if (!(Number.isInteger(count) && count > 0)) {
+                report.error([...location, itemId], 'hardware count must be a positive integer');
+            }
+        }
+    };
+
+    for (const source of ['parts', 'stlOnlyParts']) {
+        for (const [categoryId, category] of Object.entries(partsManifest[source] || {})) {
+            checkCounts(category?.hardware, [source, categoryId, 'hardware']);
+            for (const [variantId, variant] of Object.entries(category?.variants || {})) {
+                checkCounts(variant?.hardware, [source, categoryId, 'variants', variantId, 'hardware']);
+            }
+        }
+    }
+
+    for (const itemId of Object.keys(items)) {
+        if (!used.has(itemId)) {
+            report.warn(['hardwareItems', itemId], 'hardware item is not used by any category or part');
+        }
+    }
+}
+
+/**
+ * Flag keys repeated within one object literal of the source
+ * Object literals silently keep the last duplicate, so this can't be seen on
+ * the loaded manifest (e.g. a copy-pasted variant that kept its id).
+ */
+function checkDuplicateKeys(report) {
+    const lines = fs.readFileSync(MANIFEST_PATH, 'utf8').split('\n');
+    const parents = []; // Stack of { indent, keys: Map<key, line> }
+
+    lines.forEach((text, i) => {
+        if (text.trim() === '' || text.trim().startsWith('//')) return;
+
+        // Any line left of the current keys (e.g. "}," between array items) closes their object
+        const indent = text.match(/^\s*/)[0].length;
+        while (parents.length > 0 && parents[parents.length - 1].indent > indent) {
+            parents.pop();
+        }
+
+        const match = text.match(/^\s*(?:"([^"]+)"|([A-Za-z_$][\w$]*))\s*:/);
+        if (!match) return;
+        if (parents.length === 0 || parents[parents.length - 1].indent < indent) {
+            parents.push({ indent, keys: new Map() });
+        }
+
+        const key = match[1] || match[2];
+        const siblings = parents[parents.length - 1].keys;
+        if (siblings.has(key)) {
+            report.errors.push({
+                line: i + 1,
+                location: key,
+                message: `duplicate key "${key}" (first defined on line ${siblings.get(key)}); only the last one is used`
+            });
+        } else {
+            siblings.set(key, i + 1);
+        }
+    });
+}
+
+function checkColors(report) {
+    for (const categoryId of Object.keys(partsManifest.colors || {})) {
+        if (!partsManifest.parts[categoryId]) {
+            report.warn(['colors', categoryId], `color for unknown part category "${categoryId}"`);
+        }
+    }
+}
+
+/**
+ * Flag variants that no valid configuration selects
+ */
+function checkReachability(report) {
+    const reached = new Set();
+    for (const config of generateAllConfigs().filter(isConfigValid)) {
+        for (const part of [...getMatchingParts(config), ...getMatchingStlOnlyParts(config)]) {
+            reached.add(`${part.category}/${part.id}`);
+        }
+    }
+
+    for (const source of ['parts', 'stlOnlyParts']) {
+        for (const [categoryId, category] of Object.entries(partsManifest[source] || {})) {
+            for (const variantId of Object.keys(category.variants || {})) {
+                if (!reached.has(`${categoryId}/${variantId}`)) {
+                    report.error([source, categoryId, 'variants', variantId], 'unreachable: no valid configuration selects this variant');
+                }
+            }
+        }
+    }
+}
+
+// ============================================
+// Main
+// ============================================
+
+/**
+ * Lint the manifest
+ * @returns {{errors: Array, warnings: Array}} Each entry has line, location and message
+ */
+function lintManifest(options = { reachability: true }) {
+    const report = createReport();
+
+    validateObject(partsManifest, 'manifest', [], report);
+    checkConfigOptions(report);
+    checkShareMigrations(report);
+    const sectionNoteIds = checkConfigSections(report);
+    checkCompatibility(report, sectionNoteIds);
+    checkParts(report);
+    checkFirmware(report);
+    checkHardware(report);
+    checkDuplicateKeys(report);
+    checkColors(report);
+
+    // Only meaningful once the references themselves are valid
+    if (options.reachability && report.errors.length === 0) {
+        checkReachability(report);
+    }
+
+    const byLine = (a, b) => a.line - b.line;
+    return { errors: report.errors.sort(byLine), warnings: report.warnings.sort(byLine) };
+}
+
+// ============================================
+// CLI Entry Point
+// ============================================
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const reachability = !args.includes('--no-reachability');
+
+    console.log('A4T Parts Manifest Lint');
+    console.log('=======================\n');
+
+    const { errors, warnings } = lintManifest({ reachability });
+    const file = path.relative(process.cwd(), MANIFEST_PATH);
+
+    for (const { line, location, message } of errors) {
+        console.log(`❌ ${file}:${line}  ${location}: ${message}`);
+    }
+    for (const { line, location, message } of warnings) {
+        console.log(`⚠️  ${file}:${line}  ${location}: ${message}`);
+    }
+
+    console.log(`\n${errors.length} errors, ${warnings.length} warnings`);
+    process.exit(errors.length > 0 ? 1 : 0);
+}
+
+module.exports = {
+    SCHEMA,
+    lintManifest
+};
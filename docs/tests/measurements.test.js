@@ -0,0 +1,109 @@
+/**
+ * A4T Measurements Test
+ *
+ * Checks the nozzle tip search (findLowestCenter) and the toolhead dimensions
+ * of shipped configurations: nozzle offset from the carriage origin, probe
+ * offset and bounding box, in printer axes.
+ *
+ * Run with: node tests/measurements.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getDefaultConfig, getReferencePoints } = require('../js/configResolver.js');
+const { isConfigValid } = require('../js/constraints.js');
+const { findLowestCenter, getToolheadDimensions } = require('../js/measurements.js');
+
+const DEFAULT = getDefaultConfig();
+const TOLERANCE = 0.05;
+
+/**
+ * forEachPoint callback over an array of [x, y, z] points
+ */
+function pointsOf(points) {
+    return callback => points.forEach(([x, y, z]) => callback(x, y, z));
+}
+
+function assertVectorClose(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    actual.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-9, `${message}: ${actual} != ${expected}`));
+}
+
+/**
+ * A nozzle cone from y = 10 down to its tip at y = 0, in rings 0.01 mm apart
+ * (closer than the tolerance), listed top-down; the tip is a small flat ring
+ */
+function nozzleCone() {
+    const points = [];
+    for (let step = 1000; step >= 1; step--) {
+        const y = step / 100;
+        const r = 0.2 + y * 0.5;
+        points.push([r, y, 0], [-r, y, 0], [0, y, r], [0, y, -r]);
+    }
+    points.push([0.2, 0, 0], [-0.2, 0, 0], [0, 0, 0.2], [0, 0, -0.2]);
+    return points.map(([x, y, z]) => [x + 3, y - 40, z - 30]);  // Off-axis, like an assembled hotend
+}
+
+test('the tip is the middle of the points within the tolerance of the lowest', () => {
+    const points = nozzleCone();
+    const tip = findLowestCenter(pointsOf(points), TOLERANCE);
+    assertVectorClose(tip.map(value => Math.round(value * 1e6) / 1e6), [3, -40 + 0.025, -30], 'tip');
+
+    // Only the rings at y <= 0.05 count, not the whole cone listed above them
+    const counted = points.filter(([, y]) => y <= -40 + TOLERANCE);
+    assert.equal(counted.length, 6 * 4);
+});
+
+test('the order of the points does not matter', () => {
+    const points = nozzleCone();
+    const topDown = findLowestCenter(pointsOf(points), TOLERANCE);
+    assertVectorClose(findLowestCenter(pointsOf([...points].reverse()), TOLERANCE), topDown, 'bottom-up');
+
+    const shuffled = points.map((point, i) => [(i * 7919) % points.length, point]).sort((a, b) => a[0] - b[0]).map(([, p]) => p);
+    assertVectorClose(findLowestCenter(pointsOf(shuffled), TOLERANCE), topDown, 'shuffled');
+});
+
+test('no points, no tip', () => {
+    assert.equal(findLowestCenter(pointsOf([]), TOLERANCE), null);
+});
+
+test('shipped configurations have a nozzle offset from the carriage origin', () => {
+    // Xol carriage + Chube Compact: both points in the manifest
+    const xol = { ...DEFAULT, hotend: 'chube-compact' };
+    assert.ok(isConfigValid(xol));
+    const xolPoints = getReferencePoints(xol);
+    assert.ok(xolPoints.origin && xolPoints.nozzleTip);
+    assertVectorClose(getToolheadDimensions(xolPoints, null).nozzleOffset, [-6.3, -23.1, -44.2], 'Xol + Chube');
+
+    // Tap + Revo Voron: the nozzle is the probe
+    const tap = { ...DEFAULT, carriage: 'cw2-tap', hotend: 'revo-voron' };
+    assert.ok(isConfigValid(tap));
+    const tapDimensions = getToolheadDimensions(getReferencePoints(tap), null);
+    assertVectorClose(tapDimensions.nozzleOffset, [0, -2.35, 1.6], 'Tap + Revo');
+    assert.deepEqual(tapDimensions.probeOffset, [0, 0, 0]);
+});
+
+test('every carriage has an origin; hotends without a tip are left to the model search', () => {
+    for (const carriage of ['xol-carriage', 'cw2-tap']) {
+        assert.equal(getReferencePoints({ ...DEFAULT, carriage }).origin.length, 3, carriage);
+    }
+    const points = getReferencePoints(DEFAULT);  // Dragon: no nozzleTip in the manifest
+    assert.equal(points.nozzleTip, null);
+    assert.equal(getToolheadDimensions(points, null).nozzleOffset, null);
+    assert.equal(getToolheadDimensions(points, null).probeOffset, null);  // The Xol carriage has no probe
+});
+
+test('box corners are relative to the origin, and only reported with one', () => {
+    const box = { min: [-20, -50, -60], max: [30, 10, 0] };
+    const withOrigin = getToolheadDimensions({ origin: [0, 0, -30], nozzleTip: null, probe: null }, box).envelope;
+    assert.deepEqual(withOrigin.min, [-20, -30, -50]);
+    assert.deepEqual(withOrigin.max, [30, 30, 10]);
+    assert.deepEqual(withOrigin.size, [50, 60, 60]);
+
+    const withoutOrigin = getToolheadDimensions({ origin: null, nozzleTip: null, probe: null }, box).envelope;
+    assert.equal(withoutOrigin.min, null);
+    assert.equal(withoutOrigin.max, null);
+    assert.deepEqual(withoutOrigin.size, [50, 60, 60]);
+});
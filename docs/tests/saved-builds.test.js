@@ -0,0 +1,133 @@
+/**
+ * A4T Saved Builds Test
+ *
+ * Checks the builds file format (parseBuilds), the import merge (mergeBuilds)
+ * and that a stored collection that can't be read is never overwritten.
+ *
+ * Run with: node tests/saved-builds.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+    BUILDS_BACKUP_PREFIX, BUILDS_STORAGE_KEY, backupBuilds, createBuild, mergeBuilds,
+    parseBuilds, readBuilds, serializeBuilds, writeBuilds
+} = require('../js/savedBuilds.js');
+
+const STATE = { config: { carriage: 'xol-carriage', hotend: 'dragon' }, mainColor: 0x444444, accentColor: 0xa62c2b };
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(items = {}) {
+    const map = new Map(Object.entries(items));
+    return {
+        getItem: key => (map.has(key) ? map.get(key) : null),
+        setItem: (key, value) => map.set(key, String(value)),
+        removeItem: key => map.delete(key)
+    };
+}
+
+function buildsFile(builds, overrides = {}) {
+    return JSON.stringify({ format: 'a4t-builds', version: 1, builds, ...overrides });
+}
+
+/**
+ * Run fn with console.warn silenced (read failures are logged)
+ */
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('exported collections parse back to the same builds', () => {
+    const builds = [createBuild('Dragon + Sherpa', STATE), createBuild('Tap', { ...STATE, mainColor: 0 })];
+    const parsed = parseBuilds(serializeBuilds(builds));
+    assert.deepEqual(parsed.builds, builds);
+    assert.equal(parsed.skipped, 0);
+});
+
+test('entries that are not builds are skipped, the rest normalized', () => {
+    const parsed = parseBuilds(buildsFile([
+        { name: '  Spaced  ', config: { hotend: 'rapido' }, mainColor: 1, extra: 'dropped' },
+        { name: '', config: {} },
+        { name: 'No config' },
+        null
+    ]));
+    assert.equal(parsed.skipped, 3);
+    assert.equal(parsed.builds.length, 1);
+
+    const [build] = parsed.builds;
+    assert.equal(build.name, 'Spaced');
+    assert.equal(typeof build.id, 'string');  // Missing ids are generated
+    assert.ok(Number.isFinite(build.modified));
+    assert.equal(build.extra, undefined);
+});
+
+test('files that are not builds exports are rejected', () => {
+    assert.throws(() => parseBuilds('{'), /not valid JSON/);
+    assert.throws(() => parseBuilds('{"builds": []}'), /not an A4T builds export/);
+    assert.throws(() => parseBuilds(buildsFile({})), /not an A4T builds export/);
+    assert.throws(() => parseBuilds(buildsFile([], { version: 2 })), /Unsupported builds format version: 2/);
+});
+
+test('imports never overwrite: new ids and unique names', () => {
+    const existing = [createBuild('Dragon', STATE), createBuild('Dragon (2)', STATE)];
+    const imported = parseBuilds(buildsFile([
+        { id: existing[0].id, name: 'dragon', config: { hotend: 'rapido' } },
+        { name: 'Dragon', config: { hotend: 'rapido' } },
+        { name: 'Tap', config: {} }
+    ])).builds;
+
+    const merged = mergeBuilds(existing, imported);
+    assert.equal(merged.length, 5);
+    assert.deepEqual(merged.slice(0, 2), existing);
+    assert.deepEqual(merged.slice(2).map(b => b.name), ['dragon (3)', 'Dragon (4)', 'Tap']);
+    assert.equal(new Set(merged.map(b => b.id)).size, 5);
+    assert.equal(merged[2].config.hotend, 'rapido');
+    assert.equal(existing.length, 2);  // Input left as is
+});
+
+test('stored builds read back', () => {
+    const storage = createStorage();
+    assert.deepEqual(readBuilds(storage), { builds: [], unreadable: null });
+
+    const builds = [createBuild('Dragon', STATE)];
+    writeBuilds(builds, storage);
+    assert.deepEqual(readBuilds(storage), { builds, unreadable: null });
+});
+
+test('a corrupt collection is kept until it is backed up', () => {
+    const storage = createStorage({ [BUILDS_STORAGE_KEY]: '{"format": "a4t-builds", "builds": [' });
+
+    const { builds, unreadable } = quietly(() => readBuilds(storage));
+    assert.deepEqual(builds, []);
+    assert.equal(unreadable.reason, 'corrupt');
+
+    assert.throws(() => writeBuilds([createBuild('New', STATE)], storage), /can't be read/);
+    assert.equal(storage.getItem(BUILDS_STORAGE_KEY), '{"format": "a4t-builds", "builds": [');
+
+    const backupKey = backupBuilds(storage);
+    assert.ok(backupKey.startsWith(BUILDS_BACKUP_PREFIX));
+    assert.equal(storage.getItem(backupKey), '{"format": "a4t-builds", "builds": [');
+    assert.equal(storage.getItem(BUILDS_STORAGE_KEY), null);
+
+    writeBuilds([createBuild('New', STATE)], storage);
+    assert.equal(readBuilds(storage).builds[0].name, 'New');
+});
+
+test('a collection from a newer version is reported as such and never overwritten', () => {
+    const stored = buildsFile([{ name: 'Future', config: {} }], { version: 2 });
+    const storage = createStorage({ [BUILDS_STORAGE_KEY]: stored });
+
+    assert.equal(quietly(() => readBuilds(storage)).unreadable.reason, 'newer');
+    assert.throws(() => writeBuilds([], storage), /can't be read/);
+    assert.equal(storage.getItem(BUILDS_STORAGE_KEY), stored);
+});
@@ -0,0 +1,124 @@
+/**
+ * A4T Share URL Format Test
+ *
+ * Round-trips configurations through encodeShareState/decodeShareState and
+ * decodes links in the v1 format (base64 JSON with raw option ids), including
+ * the shareMigrations paths for renamed keys, option ids and codes.
+ *
+ * Run with: node tests/share-state.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { partsManifest } = require('../js/partsManifest.js');
+const { getDefaultConfig } = require('../js/configResolver.js');
+const { decodeShareState, encodeShareState } = require('../js/shareState.js');
+
+const DEFAULT_COLORS = { mainColor: 0x444444, accentColor: 0xa62c2b };
+
+// Written by the configurator before the v2 format: carriage cw2-tap, hotend
+// rapido, WW-BMG with a single sensor, default colors
+const V1_LINK = 'eyJjb25maWciOnsiY2FycmlhZ2UiOiJjdzItdGFwIiwiaG90ZW5kIjoicmFwaWRvIiwiZXh0cnVkZXIiOiJ3d2JtZyIsInd3Ym1nU2Vuc29ycyI6InNpbmdsZS1zZW5zb3IiLCJ3d2JtZ0lkbGVyIjoic21vb3RoLWJlYXJpbmciLCJ0b29saGVhZEJvYXJkIjoibm9uZSIsImZpbGFtZW50Q3V0dGVyIjoibm9uZSIsImhleENvd2wiOmZhbHNlfSwibWFpbkNvbG9yIjo0NDczOTI0LCJhY2NlbnRDb2xvciI6MTA4OTAyODN9';
+
+/**
+ * Run fn with extra shareMigrations entries, restoring the manifest afterwards
+ */
+function withMigrations(migrations, fn) {
+    const original = partsManifest.shareMigrations;
+    partsManifest.shareMigrations = { keys: {}, options: {}, codes: {}, ...migrations };
+    try {
+        fn();
+    } finally {
+        partsManifest.shareMigrations = original;
+    }
+}
+
+function encodeV1(state) {
+    return btoa(JSON.stringify(state));
+}
+
+test('default configuration round-trips', () => {
+    const config = getDefaultConfig();
+    const hash = encodeShareState({ config, ...DEFAULT_COLORS });
+    assert.match(hash, /^v=2&/);
+
+    const decoded = decodeShareState(hash);
+    assert.equal(decoded.version, 2);
+    assert.deepEqual(decoded.config, config);
+    assert.equal(decoded.mainColor, DEFAULT_COLORS.mainColor);
+    assert.equal(decoded.accentColor, DEFAULT_COLORS.accentColor);
+    assert.deepEqual(decoded.unresolved, []);
+});
+
+test('non-default configuration round-trips, dimensions stay informational', () => {
+    const config = {
+        ...getDefaultConfig(),
+        carriage: 'cw2-tap',
+        hotend: 'rapido',
+        extruder: 'orbiter',
+        toolheadBoard: 'ebb36-sht36v2',
+        filamentCutter: 'crossbow',
+        hexCowl: true
+    };
+    const hash = encodeShareState(
+        { config, mainColor: 0x123456, accentColor: 0x000000 },
+        { nozzleOffset: [0, -12.34, -0.04], envelopeSize: [60, 55.56, 90] }
+    );
+    assert.match(hash, /(^|&)x=1(&|$)/);
+    assert.match(hash, /(^|&)no=0%2C-12\.3%2C0(&|$)/);  // Rounded, no "-0"
+
+    const decoded = decodeShareState(hash);
+    assert.deepEqual(decoded.config, config);
+    assert.equal(decoded.mainColor, 0x123456);
+    assert.equal(decoded.accentColor, 0);
+    assert.deepEqual(decoded.dimensions, { nozzleOffset: [0, -12.3, 0], envelopeSize: [60, 55.6, 90] });
+    assert.deepEqual(decoded.unresolved, []);
+});
+
+test('unknown codes and malformed colors are listed as unresolved', () => {
+    const decoded = decodeShareState('v=2&c=xol&h=zz&q=1&mc=red');
+    assert.deepEqual(decoded.config, { carriage: 'xol-carriage' });
+    assert.deepEqual(decoded.unresolved.map(u => u.key), ['hotend', 'q', 'mainColor']);
+});
+
+test('v1 link decodes to the same configuration', () => {
+    const decoded = decodeShareState(V1_LINK);
+    assert.equal(decoded.version, 1);
+    assert.deepEqual(decoded.config, {
+        ...getDefaultConfig(),
+        carriage: 'cw2-tap',
+        hotend: 'rapido',
+        wwbmgSensors: 'single-sensor'
+    });
+    assert.equal(decoded.mainColor, DEFAULT_COLORS.mainColor);
+    assert.equal(decoded.accentColor, DEFAULT_COLORS.accentColor);
+});
+
+test('v1 links go through the key and option id migrations', () => {
+    const hash = encodeV1({ config: { cowl: true, hotend: 'dragon-hf' }, ...DEFAULT_COLORS });
+    withMigrations({ keys: { cowl: 'hexCowl' }, options: { hotend: { 'dragon-hf': 'dragon' } } }, () => {
+        assert.deepEqual(decodeShareState(hash).config, { hexCowl: true, hotend: 'dragon' });
+    });
+});
+
+test('v2 codes of removed options go through the code migrations', () => {
+    withMigrations({ codes: { hotend: { dhf: 'dragon' } } }, () => {
+        const decoded = decodeShareState('v=2&h=dhf');
+        assert.deepEqual(decoded.config, { hotend: 'dragon' });
+        assert.deepEqual(decoded.unresolved, []);
+    });
+    assert.equal(decodeShareState('v=2&h=dhf').unresolved[0].key, 'hotend');
+});
+
+test('undecodable hashes and unknown versions decode to null', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        assert.equal(decodeShareState('not base64 at all!'), null);
+        assert.equal(decodeShareState('v=3&c=xol'), null);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,143 @@
+/**
+ * A4T Slot Cardinality Test
+ *
+ * Checks that every valid configuration resolves to the expected number of
+ * variants per part category - e.g. exactly one cowling and one hotend duct.
+ * A gap in the requires/requiresAny/excludeIf rules otherwise shows up as an
+ * empty slot in the viewer or two overlapping parts.
+ *
+ * The expected counts come from the `cardinality` metadata on each category in
+ * partsManifest.js: { min, max } printable (non visualOnly) variants. Categories
+ * the resolver skips for a configuration (extruder adapters with a
+ * noExtruderAdapter extruder/hotend) must resolve to none.
+ *
+ * Run with: node tests/slot-cardinality.test.js
+ * Requires Node 20.19+ (loads the ES module resolver from js/ with require)
+ */
+
+const { partsManifest } = require('../js/partsManifest.js');
+const { getMatchingParts, getMatchingStlOnlyParts, isCategorySkipped } = require('../js/configResolver.js');
+const { isConfigValid } = require('../js/constraints.js');
+const { generateAllConfigs } = require('./stl-coverage.test.js');
+
+/**
+ * Categories that declare a cardinality, from parts and stlOnlyParts
+ * @returns {Array<{categoryId: string, min: number, max: number}>}
+ */
+function getSlots() {
+    const slots = [];
+    for (const categories of [partsManifest.parts, partsManifest.stlOnlyParts || {}]) {
+        for (const [categoryId, category] of Object.entries(categories)) {
+            if (!category.cardinality) continue;
+            const { min, max = Infinity } = category.cardinality;
+            slots.push({ categoryId, min, max });
+        }
+    }
+    return slots;
+}
+
+function describeRange(min, max) {
+    if (min === max) return `exactly ${min}`;
+    if (max === Infinity) return `at least ${min}`;
+    return `${min}-${max}`;
+}
+
+/**
+ * Check one configuration against every slot
+ * @returns {Array<{categoryId: string, expected: string, variants: string[]}>} Violations
+ */
+function checkConfig(config, slots = getSlots()) {
+    const matching = [...getMatchingParts(config), ...getMatchingStlOnlyParts(config)]
+        .filter(part => !part.visualOnly);
+    const violations = [];
+
+    for (const { categoryId, min, max } of slots) {
+        const variants = matching.filter(part => part.category === categoryId).map(part => part.id);
+        const skipped = isCategorySkipped(categoryId, config);
+        const [expectedMin, expectedMax] = skipped ? [0, 0] : [min, max];
+
+        if (variants.length < expectedMin || variants.length > expectedMax) {
+            violations.push({
+                categoryId,
+                expected: describeRange(expectedMin, expectedMax) + (skipped ? ' (skipped for this configuration)' : ''),
+                variants
+            });
+        }
+    }
+
+    return violations;
+}
+
+function formatConfig(config) {
+    return Object.entries(config).map(([key, value]) => `${key}=${value}`).join(' ');
+}
+
+function runTests(options = { verbose: false }) {
+    console.log('A4T Slot Cardinality Test');
+    console.log('=========================\n');
+
+    const slots = getSlots();
+    console.log('Slots:');
+    slots.forEach(({ categoryId, min, max }) => console.log(`  ${categoryId}: ${describeRange(min, max)}`));
+
+    const validConfigs = generateAllConfigs().filter(isConfigValid);
+    console.log(`\nValid configurations: ${validConfigs.length}\n`);
+
+    // Group offending configurations by category and the variants they resolved to
+    const failures = new Map(); // Map<key, {categoryId, expected, variants, configs[]}>
+    let failedConfigs = 0;
+
+    for (const config of validConfigs) {
+        const violations = checkConfig(config, slots);
+        if (violations.length > 0) {
+            failedConfigs++;
+        }
+        for (const violation of violations) {
+            const key = `${violation.categoryId}|${violation.expected}|${violation.variants.join(',')}`;
+            if (!failures.has(key)) {
+                failures.set(key, { ...violation, configs: [] });
+            }
+            failures.get(key).configs.push(config);
+        }
+    }
+
+    const maxListed = options.verbose ? Infinity : 10;
+    for (const { categoryId, expected, variants, configs } of failures.values()) {
+        const resolved = variants.length > 0 ? variants.join(', ') : 'none';
+        console.log(`❌ ${categoryId}: expected ${expected}, got ${variants.length} (${resolved}) in ${configs.length} configurations`);
+        configs.slice(0, maxListed).forEach(config => console.log(`    ${formatConfig(config)}`));
+        if (configs.length > maxListed) {
+            console.log(`    ... and ${configs.length - maxListed} more (use --verbose to list all)`);
+        }
+        console.log('');
+    }
+
+    console.log('===================================');
+    if (failedConfigs === 0) {
+        console.log('✅ ALL TESTS PASSED');
+    } else {
+        console.log('❌ TESTS FAILED');
+        console.log(`   ${failedConfigs} configurations affected`);
+    }
+    console.log('===================================\n');
+
+    return { failedConfigs, failures: [...failures.values()] };
+}
+
+// ============================================
+// CLI Entry Point
+// ============================================
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const verbose = args.includes('--verbose') || args.includes('-v');
+
+    const results = runTests({ verbose });
+    process.exit(results.failedConfigs > 0 ? 1 : 0);
+}
+
+module.exports = {
+    runTests,
+    checkConfig,
+    getSlots
+};
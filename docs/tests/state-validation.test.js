@@ -0,0 +1,98 @@
+/**
+ * A4T Loaded State Validation Test
+ *
+ * Checks validateLoadedState (unknown option ids, malformed and out of range
+ * colors) and the repair search behind it: repairConfig changes as few
+ * options as possible, breaking ties towards the later groups in configOptions
+ * and towards default options.
+ *
+ * Run with: node tests/state-validation.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { getDefaultConfig } = require('../js/configResolver.js');
+const { isConfigValid, repairConfig } = require('../js/constraints.js');
+const { validateLoadedState } = require('../js/stateValidation.js');
+
+const CURRENT = { config: getDefaultConfig(), mainColor: 0x444444, accentColor: 0xa62c2b };
+
+/**
+ * Keys whose values differ between two configurations
+ */
+function changedKeys(from, to) {
+    return Object.keys(from).filter(key => from[key] !== to[key]);
+}
+
+test('valid configurations are returned unchanged', () => {
+    const config = { ...getDefaultConfig(), hotend: 'rapido', filamentCutter: 'crossbow' };
+    assert.ok(isConfigValid(config));
+    assert.equal(repairConfig(config), config);
+});
+
+test('Sherpa Mini + Crossbow drops the cutter, not the extruder', () => {
+    const config = { ...getDefaultConfig(), extruder: 'sherpa-mini', filamentCutter: 'crossbow' };
+    assert.ok(!isConfigValid(config));
+
+    const repaired = repairConfig(config);
+    assert.deepEqual(changedKeys(config, repaired), ['filamentCutter']);
+    assert.equal(repaired.filamentCutter, 'none');
+    assert.equal(repaired.extruder, 'sherpa-mini');
+});
+
+test('ties go to the later group, set to its default option', () => {
+    // Changing either the hotend or the extruder would do; extruder comes later
+    const config = { ...getDefaultConfig(), extruder: 'sherpa-mini', hotend: 'dragon-uhf' };
+    assert.ok(!isConfigValid(config));
+
+    const repaired = repairConfig(config);
+    assert.deepEqual(changedKeys(config, repaired), ['extruder']);
+    assert.equal(repaired.extruder, 'wwbmg');
+    assert.ok(isConfigValid(repaired));
+});
+
+test('repairs are reported with the rule that caused them', () => {
+    const result = validateLoadedState({ config: { extruder: 'sherpa-mini', filamentCutter: 'crossbow' } }, CURRENT);
+    assert.equal(result.config.filamentCutter, 'none');
+    assert.equal(result.changes.length, 1);
+    assert.match(result.changes[0], /^Filament Cutter: changed .* to None \(Sherpa-Mini is not supported/);
+});
+
+test('unknown option ids and keys keep the current selection', () => {
+    const result = validateLoadedState({ config: { hotend: 'dragon-hf', carriage: 'cw2-tap', bogus: 1 } }, CURRENT);
+    assert.equal(result.config.hotend, CURRENT.config.hotend);
+    assert.equal(result.config.carriage, 'cw2-tap');
+    assert.deepEqual(result.changes, [
+        'Hotend: "dragon-hf" is not a known option, kept Dragon + MZE',
+        'Ignored unknown option "bogus"'
+    ]);
+});
+
+test('option ids stored as strings are matched (hex cowl checkbox)', () => {
+    const result = validateLoadedState({ config: { hexCowl: 'true' } }, CURRENT);
+    assert.equal(result.config.hexCowl, true);
+    assert.deepEqual(result.changes, []);
+});
+
+test('malformed colors keep the current color', () => {
+    for (const value of ['blue', NaN, [1], null, '#12345']) {
+        const result = validateLoadedState({ mainColor: value }, CURRENT);
+        assert.equal(result.mainColor, CURRENT.mainColor, `mainColor ${JSON.stringify(value)}`);
+        assert.match(result.changes[0], /^Main Color: .* is not a color, kept #444444$/);
+    }
+});
+
+test('hex strings are accepted and out of range colors are clamped', () => {
+    const result = validateLoadedState({ mainColor: '#FF0000', accentColor: 0x1000000 }, CURRENT);
+    assert.equal(result.mainColor, 0xff0000);
+    assert.equal(result.accentColor, 0xffffff);
+    assert.deepEqual(result.changes, ['Accent Color: 16777216 is out of range, clamped to #ffffff']);
+});
+
+test('options a share link could not restore are reported', () => {
+    const result = validateLoadedState({ config: {}, unresolved: [{ key: 'hotend', value: 'zz', label: 'Hotend' }] }, CURRENT);
+    assert.deepEqual(result.config, CURRENT.config);
+    assert.deepEqual(result.changes, ['Hotend: "zz" could not be restored']);
+});
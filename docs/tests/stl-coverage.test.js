@@ -3,239 +3,126 @@
  * 
  * This script tests that every valid configuration combination
  * produces the correct STL files and that those files exist.
+ * It also checks the render side: every variant's glTF model (and the
+ * "Hex " cowling models) must exist under docs/models.
  * 
  * Run with: node tests/stl-coverage.test.js
+ * Requires Node 20.19+ (loads the ES module resolver from js/ with require)
+ *
+ * File sources (default: STL/ and 3mf/ next to docs/ in an upstream checkout):
+ *   --local <dir>        Mirror root containing STL/ and 3mf/
+ *   --checksums <file>   SHA-256 manifest ("<hash>  STL/..." lines, as written by
+ *                        sha256sum). With --local, files are hashed and compared;
+ *                        alone, the manifest stands in for the files (no disk needed)
+ *   --github             Check the files on the upstream GitHub repo instead
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 
-// Load partsManifest - we need to extract it from the JS file
-const manifestPath = path.join(__dirname, '..', 'js', 'partsManifest.js');
-const manifestContent = fs.readFileSync(manifestPath, 'utf8');
+// The configurator modules are ES modules; Node 20.19+ can require() them directly.
+// The resolver and constraint engine are the same code app.js runs in the browser.
+const { partsManifest } = require('../js/partsManifest.js');
+const { getDefaultOptionId, getModelPath, getPrintableParts } = require('../js/configResolver.js');
+const { isConfigValid } = require('../js/constraints.js');
 
-// Find where partsManifest starts (after the declaration)
-const declarationMatch = manifestContent.match(/export const partsManifest = /);
-if (!declarationMatch) {
-    console.error('Could not find partsManifest declaration');
-    process.exit(1);
-}
-
-// Start from the opening brace after "export const partsManifest = "
-const startIdx = manifestContent.indexOf('{', declarationMatch.index);
-if (startIdx === -1) {
-    console.error('Could not find start of partsManifest object');
-    process.exit(1);
-}
-
-// The partsManifest object ends with "};" on its own line - find the last occurrence
-const lastBraceIdx = manifestContent.lastIndexOf('};');
-if (lastBraceIdx === -1 || lastBraceIdx < startIdx) {
-    console.error('Could not find end of partsManifest');
-    process.exit(1);
-}
-
-// Extract just the object content
-const objectContent = manifestContent.substring(startIdx, lastBraceIdx + 1);
-
-let partsManifest;
-try {
-    partsManifest = new Function(`return ${objectContent}`)();
-} catch (e) {
-    console.error('Error parsing partsManifest:', e);
-    console.error('First 500 chars:', objectContent.substring(0, 500));
-    process.exit(1);
-}
-
-// STL and 3MF base paths (relative to repo root)
-const STL_BASE = path.join(__dirname, '..', '..', 'STL');
-const THREE_MF_BASE = path.join(__dirname, '..', '..', '3mf');
+// Repo root holding the STL/ and 3mf/ folders (the default mirror)
+const REPO_ROOT = path.join(__dirname, '..', '..');
+const STL_FOLDER = 'STL';
+const THREE_MF_FOLDER = '3mf';
+// Model paths in the manifest are relative to the web root (docs/)
+const WEB_ROOT = path.join(__dirname, '..');
 const GITHUB_STL_BASE = 'https://raw.githubusercontent.com/Armchair-Heavy-Industries/A4T/main/STL/';
 const GITHUB_3MF_BASE = 'https://raw.githubusercontent.com/Armchair-Heavy-Industries/A4T/main/3mf/';
 
 // ============================================
-// Configuration Options
+// Configuration Options (from partsManifest.configOptions)
 // ============================================
 
-const CONFIG_OPTIONS = {
-    carriage: ['xol-carriage', 'cw2-tap'],
-    hotend: [
-        'dragon', 'dragon-ace', 'dragon-uhf-mini', 'dragon-ace-volcano',
-        'rapido', 'bambulab', 'chube-compact', 'revo-voron', 'revolcano',
-        'nf-crazy', 'tz-v6-stock', 'tz-v6-v6',
-        'dragon-uhf', 'dragon-ace-mze', 'dragon-ace-volcano-mze', 'rapido-uhf'
-    ],
-    extruder: ['wwbmg', 'sherpa-mini', 'wwg2', 'orbiter', 'lgx-lite', 'vz-hextrudort'],
-    wwbmgSensors: ['no-sensors', 'single', 'dual'],
-    wwbmgIdler: ['standard', 'filament-sensor'],
-    toolheadBoard: ['none', 'ebb36', 'ebb42', 'sht36', 'sht42', 'mellow-fly', 'skr-pico', 'huvud'],
-    filamentCutter: ['none', 'crossbow'],
-    hexCowl: [false, true]
-};
+const INDEX_HTML_PATH = path.join(__dirname, '..', 'index.html');
 
-// ============================================
-// Compatibility Logic (mirrors app.js)
-// ============================================
-
-function isConfigValid(config) {
-    const extruderRule = partsManifest.compatibility[config.extruder];
-    const hotendRule = partsManifest.compatibility[config.hotend];
-    
-    // Check extruder incompatibilities
-    if (extruderRule?.incompatibleWith) {
-        for (const [key, values] of Object.entries(extruderRule.incompatibleWith)) {
-            if (values.includes(config[key])) {
-                return false;
-            }
-        }
-    }
-    
-    // Check hotend incompatibilities
-    if (hotendRule?.incompatibleWith) {
-        for (const [key, values] of Object.entries(hotendRule.incompatibleWith)) {
-            if (values.includes(config[key])) {
-                return false;
-            }
-        }
-    }
-    
-    return true;
+/**
+ * Check whether a config group applies to a (partial) configuration
+ * Groups with dependsOn (e.g. WW-BMG sensors) only vary when the dependency is met
+ */
+function groupApplies(group, config) {
+    return Object.entries(group.dependsOn || {}).every(([key, value]) => config[key] === value);
 }
 
-// ============================================
-// Part Matching Logic (mirrors app.js)
-// ============================================
-
-function partMatchesConfig(partData, config) {
-    // Check 'always' flag
-    if (partData.always) return true;
-    
-    // Check 'requires' conditions (all must match)
-    if (partData.requires) {
-        for (const [key, value] of Object.entries(partData.requires)) {
-            if (config[key] !== value) return false;
-        }
+/**
+ * Check that the sidebar app.js renders from configSections covers configOptions exactly
+ * @returns {string[]} Human-readable problems (empty when the layout is consistent)
+ */
+function checkSidebarMatchesManifest() {
+    const errors = [];
+    const { configOptions, configSections = [] } = partsManifest;
+    
+    // Options are rendered by app.js; hand-written inputs would drift from the manifest
+    const html = fs.readFileSync(INDEX_HTML_PATH, 'utf8');
+    if (!html.includes('id="config-sections"')) {
+        errors.push('index.html: missing the #config-sections container');
     }
-    
-    // Check 'requiresAny' conditions (at least one must match)
-    if (partData.requiresAny) {
-        let anyMatch = false;
-        for (const [key, values] of Object.entries(partData.requiresAny)) {
-            if (Array.isArray(values) && values.includes(config[key])) {
-                anyMatch = true;
-                break;
-            }
+    for (const [tag] of html.matchAll(/<input\b[^>]*>/g)) {
+        const name = tag.match(/name="([^"]+)"/)?.[1];
+        const configKey = name?.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+        if (configKey && configOptions[configKey]) {
+            errors.push(`index.html: static input for "${configKey}" (rendered from configOptions instead)`);
         }
-        if (!anyMatch) return false;
     }
     
-    // Check 'excludeIf' conditions (none should match)
-    if (partData.excludeIf) {
-        for (const [key, values] of Object.entries(partData.excludeIf)) {
-            if (Array.isArray(values) && values.includes(config[key])) {
-                return false;
+    // Every group is placed once: in a section, or nested under the option it depends on
+    const placements = new Map(Object.keys(configOptions).map(key => [key, 0]));
+    for (const section of configSections) {
+        for (const key of section.keys) {
+            if (!configOptions[key]) {
+                errors.push(`configSections "${section.title}": unknown config key "${key}"`);
+            } else if (configOptions[key].dependsOn) {
+                errors.push(`configSections "${section.title}": "${key}" has dependsOn and is nested automatically`);
+            } else {
+                placements.set(key, placements.get(key) + 1);
             }
         }
-    }
-    
-    return true;
-}
-
-function getMatchingParts(config) {
-    const matching = [];
-    
-    const extruderRule = partsManifest.compatibility[config.extruder];
-    const hotendRule = partsManifest.compatibility[config.hotend];
-    const skipExtruderAdapter = extruderRule?.noExtruderAdapter || hotendRule?.noExtruderAdapter;
-    
-    for (const [categoryId, category] of Object.entries(partsManifest.parts)) {
-        if (skipExtruderAdapter && categoryId === 'extruderAdapters') continue;
         
-        for (const [partId, partData] of Object.entries(category.variants)) {
-            if (partMatchesConfig(partData, config)) {
-                matching.push({
-                    id: partId,
-                    category: categoryId,
-                    ...partData
-                });
+        for (const note of section.notes || []) {
+            if (note.before && !section.keys.some(key => configOptions[key]?.options.some(o => o.id === note.before))) {
+                errors.push(`configSections "${section.title}": note "${note.id}" is placed before unknown option "${note.before}"`);
+            }
+            for (const key of Object.keys(note.showIf || {})) {
+                if (!configOptions[key]) {
+                    errors.push(`configSections "${section.title}": note "${note.id}" shows on unknown config key "${key}"`);
+                }
             }
         }
     }
     
-    return matching;
-}
-
-function getMatchingStlOnlyParts(config) {
-    const matching = [];
-    
-    if (!partsManifest.stlOnlyParts) return matching;
-    
-    for (const [categoryId, category] of Object.entries(partsManifest.stlOnlyParts)) {
-        for (const [partId, partData] of Object.entries(category.variants)) {
-            if (partMatchesConfig(partData, config)) {
-                matching.push({
-                    id: partId,
-                    category: categoryId,
-                    ...partData
-                });
+    for (const [key, group] of Object.entries(configOptions)) {
+        if (group.dependsOn) {
+            for (const [parentKey, value] of Object.entries(group.dependsOn)) {
+                if (!configOptions[parentKey]?.options.some(o => o.id === value)) {
+                    errors.push(`${key}: dependsOn unknown option ${parentKey}="${value}"`);
+                }
             }
+        } else if (placements.get(key) !== 1) {
+            errors.push(`${key}: placed in ${placements.get(key)} configSections (expected 1)`);
+        }
+        
+        // One checkbox; checking it selects the non-default option
+        if (group.input === 'checkbox' &&
+            (group.options.length !== 2 || group.options.filter(o => o.default).length !== 1)) {
+            errors.push(`${key}: checkbox groups need exactly two options, one flagged default`);
         }
     }
     
-    return matching;
+    return errors;
 }
 
 // ============================================
-// STL File Resolution (mirrors downloadParts in app.js)
+// STL File Resolution (shared with app.js)
 // ============================================
 
 function getExpectedFiles(config) {
-    const parts = getMatchingParts(config);
-    const stlOnlyParts = getMatchingStlOnlyParts(config);
-    
-    // Build file list from rendered parts
-    // Exclude carriages, wwbmg (handled via stlOnlyParts), hotendSpacers, and visualOnly
-    let renderedFiles = parts
-        .filter(p => 
-            p.category !== 'carriages' && 
-            p.category !== 'wwbmg' && 
-            p.category !== 'hotendSpacers' && 
-            !p.visualOnly
-        )
-        .map(p => {
-            if (p.stlPath) {
-                return { path: p.stlPath, isStl: true };
-            }
-            let baseName = p.file.replace('.glb', '');
-            const stlPath = baseName.endsWith('.stl') ? baseName : baseName + '.stl';
-            return { path: stlPath, isStl: true, isCowling: p.category === 'cowlings' };
-        });
-    
-    // Add STL-only files
-    const stlOnlyFiles = stlOnlyParts.map(p => ({ path: p.stlFile, isStl: true }));
-    
-    let allFiles = [...renderedFiles, ...stlOnlyFiles];
-    
-    // Transform cowling files to hex 3MF if hex cowl option is enabled
-    if (config.hexCowl) {
-        allFiles = allFiles.map(file => {
-            if (file.isCowling) {
-                // Transform: "Cowlings/A4T Cowling - Dragon_Rapido [cw2-tap].stl"
-                // To: "Cowlings [Hexagon multi-colour]/Hex A4T Cowling - Dragon_Rapido [cw2-tap].3mf"
-                const fileName = file.path.split('/').pop();
-                const baseName = fileName.replace('.stl', '');
-                const hexFileName = 'Hex ' + baseName + '.3mf';
-                return { 
-                    path: 'Cowlings [Hexagon multi-colour]/' + hexFileName, 
-                    isStl: false,
-                    is3mf: true 
-                };
-            }
-            return file;
-        });
-    }
-    
-    return allFiles;
+    return getPrintableParts(config).map(part => part.printFile);
 }
 
 // ============================================
@@ -243,56 +130,36 @@ function getExpectedFiles(config) {
 // ============================================
 
 function generateAllConfigs() {
-    const configs = [];
-    
-    for (const carriage of CONFIG_OPTIONS.carriage) {
-        for (const hotend of CONFIG_OPTIONS.hotend) {
-            for (const extruder of CONFIG_OPTIONS.extruder) {
-                for (const toolheadBoard of CONFIG_OPTIONS.toolheadBoard) {
-                    for (const filamentCutter of CONFIG_OPTIONS.filamentCutter) {
-                        for (const hexCowl of CONFIG_OPTIONS.hexCowl) {
-                            // WW-BMG has additional options
-                            if (extruder === 'wwbmg') {
-                                for (const wwbmgSensors of CONFIG_OPTIONS.wwbmgSensors) {
-                                    for (const wwbmgIdler of CONFIG_OPTIONS.wwbmgIdler) {
-                                        configs.push({
-                                            carriage,
-                                            hotend,
-                                            extruder,
-                                            wwbmgSensors,
-                                            wwbmgIdler,
-                                            toolheadBoard,
-                                            filamentCutter,
-                                            hexCowl
-                                        });
-                                    }
-                                }
-                            } else {
-                                configs.push({
-                                    carriage,
-                                    hotend,
-                                    extruder,
-                                    wwbmgSensors: 'no-sensors',
-                                    wwbmgIdler: 'standard',
-                                    toolheadBoard,
-                                    filamentCutter,
-                                    hexCowl
-                                });
-                            }
-                        }
-                    }
-                }
+    let configs = [{}];
+    
+    // Cartesian product over every config group; dependent groups keep their
+    // default unless their dependency is selected
+    for (const [key, group] of Object.entries(partsManifest.configOptions)) {
+        const next = [];
+        for (const config of configs) {
+            const values = groupApplies(group, config)
+                ? group.options.map(o => o.id)
+                : [getDefaultOptionId(group)];
+            for (const value of values) {
+                next.push({ ...config, [key]: value });
             }
         }
+        configs = next;
     }
     
     return configs;
 }
 
-function checkFileExists(file) {
-    const basePath = file.is3mf ? THREE_MF_BASE : STL_BASE;
-    const fullPath = path.join(basePath, file.path);
-    return fs.existsSync(fullPath);
+/**
+ * Path of a download file relative to the mirror root, e.g. "STL/Cowlings/..."
+ * Also the path used in checksum manifests
+ */
+function getMirrorPath(file) {
+    return (file.is3mf ? THREE_MF_FOLDER : STL_FOLDER) + '/' + file.path;
+}
+
+function checkFileExists(file, mirrorRoot = REPO_ROOT) {
+    return fs.existsSync(path.join(mirrorRoot, getMirrorPath(file)));
 }
 
 async function checkFileExistsOnGitHub(file) {
@@ -308,10 +175,222 @@ async function checkFileExistsOnGitHub(file) {
     }
 }
 
-function runTests(options = { checkGitHub: false, verbose: false }) {
+function hashFile(fullPath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex');
+}
+
+/**
+ * Read a SHA-256 manifest in sha256sum format ("<hash>  <path>" per line)
+ * @returns {Map<string, string>} Mirror path -> hash
+ */
+function readChecksums(checksumsPath) {
+    const checksums = new Map();
+    const lines = fs.readFileSync(checksumsPath, 'utf8').split(/\r?\n/);
+    
+    lines.forEach((line, i) => {
+        if (line.trim() === '' || line.startsWith('#')) return;
+        
+        const match = line.match(/^([0-9a-fA-F]{64}) [ *](.+)$/);
+        if (!match) {
+            throw new Error(`${checksumsPath}:${i + 1}: expected "<sha256>  <path>"`);
+        }
+        checksums.set(match[2].replace(/^\.\//, ''), match[1].toLowerCase());
+    });
+    
+    return checksums;
+}
+
+/**
+ * List the files under a mirror's STL/ and 3mf/ folders as mirror paths
+ */
+function listMirrorFiles(mirrorRoot) {
+    const files = [];
+    const walk = relativeDir => {
+        const dir = path.join(mirrorRoot, relativeDir);
+        if (!fs.existsSync(dir)) return;
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const relativePath = relativeDir + '/' + entry.name;
+            if (entry.isDirectory()) {
+                walk(relativePath);
+            } else {
+                files.push(relativePath);
+            }
+        }
+    };
+    walk(STL_FOLDER);
+    walk(THREE_MF_FOLDER);
+    return files;
+}
+
+/**
+ * Create the source the download files are checked against
+ * @param {{local?: string, checksums?: string, github?: boolean}} options
+ * @returns {{description: string, check: Function, listFiles: Function}}
+ *   check(file) resolves to { status: 'ok' | 'missing' | 'changed' | 'unlisted', detail? }
+ *   ('unlisted': in the mirror, but the checksum manifest has no entry to verify it against)
+ *   listFiles() returns every mirror path the source has (null if it can't list)
+ */
+function createFileSource(options = {}) {
+    if (options.github) {
+        return {
+            description: 'GitHub (Armchair-Heavy-Industries/A4T, main)',
+            check: async file => ({ status: await checkFileExistsOnGitHub(file) ? 'ok' : 'missing' }),
+            listFiles: () => null
+        };
+    }
+    
+    const checksums = options.checksums ? readChecksums(options.checksums) : null;
+    
+    // Checksum manifest alone: it stands in for the mirror
+    if (checksums && !options.local) {
+        return {
+            description: `checksum manifest ${options.checksums}`,
+            check: async file => checksums.has(getMirrorPath(file))
+                ? { status: 'ok' }
+                : { status: 'missing', detail: 'not in checksum manifest' },
+            listFiles: () => [...checksums.keys()]
+        };
+    }
+    
+    const mirrorRoot = path.resolve(options.local || REPO_ROOT);
+    return {
+        description: `local mirror ${mirrorRoot}` + (checksums ? ` (verified against ${options.checksums})` : ''),
+        check: async file => {
+            const mirrorPath = getMirrorPath(file);
+            if (!checkFileExists(file, mirrorRoot)) {
+                return { status: 'missing' };
+            }
+            if (checksums) {
+                if (!checksums.has(mirrorPath)) {
+                    return { status: 'unlisted' };
+                }
+                if (hashFile(path.join(mirrorRoot, mirrorPath)) !== checksums.get(mirrorPath)) {
+                    return { status: 'changed', detail: 'SHA-256 mismatch' };
+                }
+            }
+            return { status: 'ok' };
+        },
+        listFiles: () => listMirrorFiles(mirrorRoot)
+    };
+}
+
+// ============================================
+// Render Model Files (docs/models)
+// ============================================
+
+/**
+ * Recursively list model files under a directory, relative to the web root
+ */
+function listModelFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    
+    const files = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listModelFiles(fullPath));
+        } else if (entry.name.endsWith('.' + partsManifest.fileExtension)) {
+            files.push(path.relative(WEB_ROOT, fullPath).split(path.sep).join('/'));
+        }
+    }
+    return files;
+}
+
+/**
+ * Check that every rendered part's model exists, including the "Hex " cowling
+ * variants loadModel() builds on the fly, and find model files nothing references
+ * @returns {{missingModels: Map, missingHexModels: Map, orphanedModels: string[]}}
+ *   missingModels / missingHexModels: Map<modelPath, partIds[]>
+ */
+function checkModelFiles() {
+    const missingModels = new Map();
+    const missingHexModels = new Map();
+    const referenced = new Set();
+    
+    const addMissing = (map, modelPath, partId) => {
+        if (!map.has(modelPath)) {
+            map.set(modelPath, []);
+        }
+        map.get(modelPath).push(partId);
+    };
+    
+    for (const [categoryId, category] of Object.entries(partsManifest.parts)) {
+        for (const [partId, variant] of Object.entries(category.variants)) {
+            const part = { ...variant, category: categoryId };
+            
+            const modelPath = getModelPath(part);
+            referenced.add(modelPath);
+            if (!fs.existsSync(path.join(WEB_ROOT, modelPath))) {
+                addMissing(missingModels, modelPath, partId);
+            }
+            
+            if (categoryId === 'cowlings') {
+                const hexModelPath = getModelPath(part, true);
+                referenced.add(hexModelPath);
+                if (!fs.existsSync(path.join(WEB_ROOT, hexModelPath))) {
+                    addMissing(missingHexModels, hexModelPath, partId);
+                }
+            }
+        }
+    }
+    
+    const orphanedModels = listModelFiles(path.join(WEB_ROOT, partsManifest.basePath))
+        .filter(modelPath => !referenced.has(modelPath))
+        .sort();
+    
+    return { missingModels, missingHexModels, orphanedModels };
+}
+
+/**
+ * Print the model file check
+ * @returns {number} Number of missing model files
+ */
+function reportModelFiles({ missingModels, missingHexModels, orphanedModels }) {
+    const printMissing = (title, map) => {
+        if (map.size === 0) return;
+        console.log(`❌ ${title} (${map.size}):\n`);
+        for (const [modelPath, partIds] of map) {
+            console.log(`  ❌ ${modelPath}`);
+            console.log(`     Used by ${partIds.join(', ')}`);
+        }
+        console.log('');
+    };
+    
+    printMissing('Missing glTF models', missingModels);
+    printMissing('Missing hex cowl glTF models', missingHexModels);
+    
+    if (orphanedModels.length > 0) {
+        console.log(`⚠️  Orphaned model files - not referenced by any variant (${orphanedModels.length}):\n`);
+        orphanedModels.forEach(modelPath => console.log(`  - ${modelPath}`));
+        console.log('');
+    }
+    
+    if (missingModels.size === 0 && missingHexModels.size === 0) {
+        console.log('✅ All referenced glTF models exist\n');
+    }
+    
+    return missingModels.size + missingHexModels.size;
+}
+
+async function runTests(options = { verbose: false }) {
     console.log('A4T Configurator STL/3MF Coverage Test');
     console.log('======================================\n');
     
+    // The enumerated config space must be exactly what the UI offers
+    const sidebarErrors = checkSidebarMatchesManifest();
+    if (sidebarErrors.length > 0) {
+        console.log(`❌ configSections and configOptions disagree (${sidebarErrors.length}):\n`);
+        sidebarErrors.forEach(error => console.log(`  - ${error}`));
+        console.log('');
+    }
+    
+    // Every model the viewer loads must exist under docs/models
+    const modelFiles = checkModelFiles();
+    const missingModelCount = reportModelFiles(modelFiles);
+    
+    const source = createFileSource(options);
+    console.log(`Checking download files against: ${source.description}\n`);
+    
     const allConfigs = generateAllConfigs();
     console.log(`Total configuration combinations: ${allConfigs.length}`);
     
@@ -324,10 +403,22 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
     const results = {
         passed: 0,
         failed: 0,
+        sidebarErrors,
+        modelFiles,
+        missingModelCount,
         missingFiles: new Map(), // Map<filePath, configsThatNeedIt[]>
+        changedFiles: new Map(), // Map<filePath, {detail, configs[]}>
+        unlistedFiles: new Map(), // Map<filePath, configsThatNeedIt[]> (mirror files the checksum manifest lacks)
+        extraFiles: [],          // Mirror paths no valid configuration needs
+        configResults: [],       // Per failed configuration: {config, missing[], changed[], unlisted[]}
         configErrors: []
     };
     
+    // Each file is checked (and hashed) once, however many configurations need it
+    const fileStatus = new Map();   // Map<mirrorPath, {status, detail}>
+    const missingDetails = new Map(); // Map<filePath, detail>
+    const expectedMirrorPaths = new Set();
+    
     // Test each valid config
     for (const config of validConfigs) {
         const configKey = JSON.stringify(config);
@@ -341,23 +432,50 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
                 expectedFiles.forEach(f => console.log(`  - ${f.path} (${f.is3mf ? '3mf' : 'stl'})`));
             }
             
-            let configPassed = true;
+            const configResult = { config, missing: [], changed: [], unlisted: [] };
             
             for (const file of expectedFiles) {
-                if (!checkFileExists(file)) {
-                    configPassed = false;
-                    
+                const mirrorPath = getMirrorPath(file);
+                expectedMirrorPaths.add(mirrorPath);
+                if (!fileStatus.has(mirrorPath)) {
+                    fileStatus.set(mirrorPath, await source.check(file));
+                }
+                
+                const { status, detail } = fileStatus.get(mirrorPath);
+                if (status === 'missing') {
+                    configResult.missing.push(file.path);
                     if (!results.missingFiles.has(file.path)) {
                         results.missingFiles.set(file.path, []);
+                        missingDetails.set(file.path, detail);
                     }
                     results.missingFiles.get(file.path).push(config);
+                } else if (status === 'changed') {
+                    configResult.changed.push(file.path);
+                    if (!results.changedFiles.has(file.path)) {
+                        results.changedFiles.set(file.path, { detail, configs: [] });
+                    }
+                    results.changedFiles.get(file.path).configs.push(config);
+                } else if (status === 'unlisted') {
+                    configResult.unlisted.push(file.path);
+                    if (!results.unlistedFiles.has(file.path)) {
+                        results.unlistedFiles.set(file.path, []);
+                    }
+                    results.unlistedFiles.get(file.path).push(config);
                 }
             }
             
-            if (configPassed) {
+            const problems = configResult.missing.length + configResult.changed.length + configResult.unlisted.length;
+            if (problems === 0) {
                 results.passed++;
             } else {
                 results.failed++;
+                results.configResults.push(configResult);
+                
+                if (options.verbose) {
+                    configResult.missing.forEach(f => console.log(`  ❌ missing: ${f}`));
+                    configResult.changed.forEach(f => console.log(`  ❌ changed: ${f}`));
+                    configResult.unlisted.forEach(f => console.log(`  ❌ unlisted: ${f}`));
+                }
             }
             
         } catch (error) {
@@ -366,6 +484,12 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
         }
     }
     
+    // Files the source has that no valid configuration downloads
+    const availableFiles = source.listFiles();
+    if (availableFiles) {
+        results.extraFiles = availableFiles.filter(f => !expectedMirrorPaths.has(f)).sort();
+    }
+    
     // Print results
     console.log('\n======================================');
     console.log('RESULTS');
@@ -378,7 +502,8 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
         console.log(`\n⚠️  Missing files (${results.missingFiles.size}):\n`);
         
         for (const [filePath, configs] of results.missingFiles) {
-            console.log(`  ❌ ${filePath}`);
+            const detail = missingDetails.get(filePath);
+            console.log(`  ❌ ${filePath}${detail ? ` (${detail})` : ''}`);
             console.log(`     Needed by ${configs.length} configuration(s)`);
             
             if (options.verbose && configs.length <= 3) {
@@ -389,6 +514,29 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
         }
     }
     
+    if (results.changedFiles.size > 0) {
+        console.log(`\n⚠️  Changed files (${results.changedFiles.size}):\n`);
+        
+        for (const [filePath, { detail, configs }] of results.changedFiles) {
+            console.log(`  ❌ ${filePath} (${detail})`);
+            console.log(`     Needed by ${configs.length} configuration(s)`);
+        }
+    }
+    
+    if (results.unlistedFiles.size > 0) {
+        console.log(`\n⚠️  Unlisted files - in the mirror but not in the checksum manifest, so not verified (${results.unlistedFiles.size}):\n`);
+        
+        for (const [filePath, configs] of results.unlistedFiles) {
+            console.log(`  ❌ ${filePath}`);
+            console.log(`     Needed by ${configs.length} configuration(s)`);
+        }
+    }
+    
+    if (results.extraFiles.length > 0) {
+        console.log(`\n⚠️  Extra files - not needed by any valid configuration (${results.extraFiles.length}):\n`);
+        results.extraFiles.forEach(f => console.log(`  - ${f}`));
+    }
+    
     if (results.configErrors.length > 0) {
         console.log(`\n⚠️  Configuration errors (${results.configErrors.length}):\n`);
         results.configErrors.forEach(({ config, error }) => {
@@ -399,11 +547,23 @@ function runTests(options = { checkGitHub: false, verbose: false }) {
     
     // Summary
     console.log('\n===================================');
-    if (results.failed === 0) {
+    if (results.failed === 0 && sidebarErrors.length === 0 && missingModelCount === 0) {
         console.log('✅ ALL TESTS PASSED');
     } else {
         console.log('❌ TESTS FAILED');
+        if (sidebarErrors.length > 0) {
+            console.log(`   ${sidebarErrors.length} configSections/configOptions mismatches`);
+        }
+        if (missingModelCount > 0) {
+            console.log(`   ${missingModelCount} missing glTF models`);
+        }
         console.log(`   ${results.missingFiles.size} missing STL files`);
+        if (results.changedFiles.size > 0) {
+            console.log(`   ${results.changedFiles.size} changed STL files`);
+        }
+        if (results.unlistedFiles.size > 0) {
+            console.log(`   ${results.unlistedFiles.size} STL files missing from the checksum manifest`);
+        }
         console.log(`   ${results.failed} configurations affected`);
     }
     console.log('===================================\n');
@@ -422,8 +582,8 @@ function listAllExpectedStlFiles() {
     const allFiles = new Set();
     
     for (const config of validConfigs) {
-        const files = getExpectedStlFiles(config);
-        files.forEach(f => allFiles.add(f));
+        const files = getExpectedFiles(config);
+        files.forEach(f => allFiles.add(f.path));
     }
     
     return Array.from(allFiles).sort();
@@ -437,6 +597,20 @@ if (require.main === module) {
     const args = process.argv.slice(2);
     const verbose = args.includes('--verbose') || args.includes('-v');
     const listFiles = args.includes('--list-files');
+    const getArg = name => {
+        const index = args.indexOf(name);
+        if (index === -1) return undefined;
+        if (!args[index + 1] || args[index + 1].startsWith('--')) {
+            console.error(`${name} needs a path`);
+            process.exit(2);
+        }
+        return args[index + 1];
+    };
+    const sourceOptions = {
+        local: getArg('--local'),
+        checksums: getArg('--checksums'),
+        github: args.includes('--github')
+    };
     
     if (listFiles) {
         console.log('All expected STL files across all valid configurations:\n');
@@ -444,16 +618,25 @@ if (require.main === module) {
         files.forEach(f => console.log(f));
         console.log(`\nTotal: ${files.length} unique STL files`);
     } else {
-        const results = runTests({ verbose });
-        process.exit(results.failed > 0 ? 1 : 0);
+        runTests({ verbose, ...sourceOptions }).then(results => {
+            process.exit(results.failed > 0 || results.sidebarErrors.length > 0 || results.missingModelCount > 0 ? 1 : 0);
+        }).catch(error => {
+            console.error(error.message);
+            process.exit(2);
+        });
     }
 }
 
 module.exports = {
     runTests,
     generateAllConfigs,
-    getExpectedStlFiles,
+    checkSidebarMatchesManifest,
+    checkModelFiles,
+    getExpectedFiles,
     listAllExpectedStlFiles,
     isConfigValid,
-    checkFileExists
+    checkFileExists,
+    checkFileExistsOnGitHub,
+    createFileSource,
+    readChecksums
 };
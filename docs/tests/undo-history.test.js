@@ -0,0 +1,129 @@
+/**
+ * A4T Undo History Test
+ *
+ * Checks the undo/redo stacks: coalescing of consecutive changes with the same
+ * key (color picker drags), clearing of the redo stack and the step limit.
+ *
+ * Run with: node tests/undo-history.test.js
+ * Requires Node 20.19+ (loads the ES modules from js/ with require)
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const {
+    canRedo, canUndo, createHistory, endCoalescing, recordHistory, redoHistory, undoHistory
+} = require('../js/undoHistory.js');
+
+/**
+ * Apply a change the way app.js does: record the state before it, then change it
+ */
+function change(history, state, next, coalesceKey = null) {
+    recordHistory(history, state.value, coalesceKey);
+    state.value = next;
+}
+
+function undo(history, state) {
+    const restored = undoHistory(history, state.value);
+    if (restored !== null) state.value = restored;
+    return restored;
+}
+
+function redo(history, state) {
+    const restored = redoHistory(history, state.value);
+    if (restored !== null) state.value = restored;
+    return restored;
+}
+
+test('undo and redo step through the recorded states', () => {
+    const history = createHistory();
+    const state = { value: 'a' };
+    assert.ok(!canUndo(history) && !canRedo(history));
+
+    change(history, state, 'b');
+    change(history, state, 'c');
+    assert.equal(undo(history, state), 'b');
+    assert.equal(undo(history, state), 'a');
+    assert.equal(undo(history, state), null);
+    assert.equal(state.value, 'a');
+
+    assert.equal(redo(history, state), 'b');
+    assert.equal(redo(history, state), 'c');
+    assert.equal(redo(history, state), null);
+    assert.ok(canUndo(history) && !canRedo(history));
+});
+
+test('a color drag is undone in one step', () => {
+    const history = createHistory();
+    const state = { value: 'grey' };
+
+    for (const color of ['red1', 'red2', 'red3']) {
+        change(history, state, color, 'mainColor');
+    }
+    endCoalescing(history);  // Picker released
+
+    assert.equal(history.past.length, 1);
+    assert.equal(undo(history, state), 'grey');
+    assert.equal(redo(history, state), 'red3');
+});
+
+test('a new drag after the picker is released is a new step', () => {
+    const history = createHistory();
+    const state = { value: 'grey' };
+
+    change(history, state, 'red', 'mainColor');
+    endCoalescing(history);
+    change(history, state, 'blue', 'mainColor');
+
+    assert.equal(undo(history, state), 'red');
+    assert.equal(undo(history, state), 'grey');
+});
+
+test('different keys and uncoalesced changes are separate steps', () => {
+    const history = createHistory();
+    const state = { value: 0 };
+
+    change(history, state, 1, 'mainColor');
+    change(history, state, 2, 'accentColor');
+    change(history, state, 3);
+    change(history, state, 4);
+    assert.equal(history.past.length, 4);
+});
+
+test('undo ends coalescing, so dragging again after an undo is a new step', () => {
+    const history = createHistory();
+    const state = { value: 'grey' };
+
+    change(history, state, 'red', 'mainColor');
+    undo(history, state);
+    change(history, state, 'blue', 'mainColor');
+
+    assert.equal(history.past.length, 1);
+    assert.equal(undo(history, state), 'grey');
+});
+
+test('a new change clears the redo stack', () => {
+    const history = createHistory();
+    const state = { value: 'a' };
+
+    change(history, state, 'b');
+    change(history, state, 'c');
+    undo(history, state);
+    assert.ok(canRedo(history));
+
+    change(history, state, 'd');
+    assert.ok(!canRedo(history));
+    assert.equal(redo(history, state), null);
+    assert.equal(undo(history, state), 'b');
+});
+
+test('the oldest steps are dropped past the limit', () => {
+    const history = createHistory(3);
+    const state = { value: 0 };
+    for (let i = 1; i <= 5; i++) change(history, state, i);
+
+    assert.equal(undo(history, state), 4);
+    assert.equal(undo(history, state), 3);
+    assert.equal(undo(history, state), 2);
+    assert.equal(undo(history, state), null);
+});